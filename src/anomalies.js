@@ -0,0 +1,191 @@
+'use strict';
+
+const { getAnalysisEvents } = require('./db');
+const { dayStart, today, shiftDate } = require('./timezone');
+
+// ── Thresholds ────────────────────────────────────────────────────────────────
+const WINDOW_DAYS     = 7;    // flag events from this many recent days…
+const BASELINE_DAYS   = 30;   // …against per project × model baselines over this many
+const MIN_BASELINE    = 20;   // requests before a baseline is trusted
+const OUTLIER_MADS    = 4;    // robust z-score (log cost) that counts as an outlier
+const OUTLIER_MIN_USD = 0.10; // never flag requests cheaper than this
+const RISING_MIN_TURNS = 20;
+const RISING_RATIO     = 3;   // last third of a session vs. the first, per turn
+const RISING_MIN_USD   = 1;
+const LOOP_MIN_REPEATS = 5;   // same prompt started this many times
+const LOOP_MIN_CHARS   = 12;  // shorter prompts ("yes", "continue") are normal to repeat
+const LOOP_MIN_USD     = 1;
+const CRITICAL_USD     = 20;  // anomalies involving more spend than this are critical
+const MAX_EVENT_IDS    = 20;
+
+/**
+ * Flag unusual spend in [from, to] (default: the last WINDOW_DAYS days):
+ *
+ *   cost_outlier   a request far above its project × model baseline
+ *   rising_session a session whose cost per turn keeps climbing
+ *   prompt_loop    the same (normalised) prompt started again and again
+ *
+ * Each anomaly carries the ids of the events involved and a link to the session.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {object} [options]
+ * @param {string} [options.from]  YYYY-MM-DD
+ * @param {string} [options.to]    YYYY-MM-DD
+ * @param {string} [options.tz]    IANA time zone the dates are in (default UTC)
+ * @param {string} [options.user]  only this user's events (see getUsers)
+ * @param {Date}   [options.now]
+ */
+function detectAnomalies(db, { from, to, tz, user, now = new Date() } = {}) {
+  to   = to   || today(tz, now);
+  from = from || shiftDate(to, -(WINDOW_DAYS - 1));
+  const baselineFrom = shiftDate(to, -(BASELINE_DAYS - 1));
+  const start        = dayStart(from, tz);
+
+  const rows    = getAnalysisEvents(db, from < baselineFrom ? from : baselineFrom, to, tz, user);
+  const recent  = rows.filter(r => r.occurred_at >= start);
+  const outlier = costOutliers(rows, r => r.occurred_at >= start);
+
+  const anomalies = [...outlier.anomalies, ...risingSessions(recent), ...promptLoops(recent)]
+    .sort((a, b) => (a.severity === b.severity ? (a.occurred_at < b.occurred_at ? 1 : -1)
+                                               : (a.severity === 'critical' ? -1 : 1)));
+  return { from, to, baselines: outlier.baselines, anomalies };
+}
+
+// ── Detectors ─────────────────────────────────────────────────────────────────
+
+// Costs are heavy-tailed, so the baseline is the median and MAD of log(cost)
+function costOutliers(rows, inWindow) {
+  const groups = groupBy(rows.filter(r => r.cost_usd > 0), r => `${r.project_path || 'Unknown'}\u0000${r.model}`);
+  const anomalies = [];
+  const baselines = [];
+
+  for (const group of groups.values()) {
+    if (group.length < MIN_BASELINE) continue;
+    const logs   = group.map(r => Math.log(r.cost_usd));
+    const med    = median(logs);
+    const mad    = Math.max(median(logs.map(l => Math.abs(l - med))), 0.1);
+    const limit  = Math.max(Math.exp(med + OUTLIER_MADS * 1.4826 * mad), OUTLIER_MIN_USD);
+    const usual  = Math.exp(med);
+    const { project_path, model } = group[0];
+    baselines.push({ project_path, model, requests: group.length, median_cost_usd: usual, limit_usd: limit });
+
+    for (const r of group) {
+      if (!inWindow(r) || r.cost_usd < limit) continue;
+      anomalies.push(anomaly('cost_outlier', String(r.id), r, {
+        title:     `Request cost ${(r.cost_usd / usual).toFixed(0)}× the usual`,
+        detail:    `${money(r.cost_usd)} on ${model} in ${project_path || 'Unknown'} — typical is ${money(usual)}`,
+        cost_usd:  r.cost_usd,
+        event_ids: [r.id],
+      }));
+    }
+  }
+  return { anomalies, baselines };
+}
+
+// Thirds of the main conversation, each dearer per turn than the last
+function risingSessions(rows) {
+  const anomalies = [];
+  for (const [sessionId, all] of groupBy(rows, r => r.session_id)) {
+    const turns = all.filter(r => !r.agent_id);
+    if (!sessionId || turns.length < RISING_MIN_TURNS) continue;
+    const total = turns.reduce((s, r) => s + r.cost_usd, 0);
+    if (total < RISING_MIN_USD) continue;
+
+    const third = Math.floor(turns.length / 3);
+    const avg   = list => list.reduce((s, r) => s + r.cost_usd, 0) / list.length;
+    const [a, b, c] = [turns.slice(0, third), turns.slice(third, 2 * third), turns.slice(2 * third)].map(avg);
+    if (!(a < b && b < c && c >= a * RISING_RATIO)) continue;
+
+    const last = turns[turns.length - 1];
+    anomalies.push(anomaly('rising_session', sessionId, last, {
+      title:     `Session cost per turn up ${(c / a).toFixed(1)}×`,
+      detail:    `${turns.length} turns, ${money(total)} — ${money(a)}/turn at the start, ${money(c)}/turn lately. Context keeps growing; /compact or a fresh session would reset it.`,
+      cost_usd:  total,
+      event_ids: [...turns].sort((x, y) => y.cost_usd - x.cost_usd).slice(0, MAX_EVENT_IDS).map(r => r.id),
+    }));
+  }
+  return anomalies;
+}
+
+// A turn starts whenever the prompt behind a session's requests changes
+function promptLoops(rows) {
+  const turns = [];
+  for (const [sessionId, list] of groupBy(rows, r => `${r.session_id}\u0000${r.agent_id || ''}`)) {
+    let turn = null;
+    for (const r of list) {
+      if (!turn || r.prompt_text !== turn.prompt_text) {
+        turn = { key: sessionId, prompt_text: r.prompt_text, first: r, last: r, cost_usd: 0 };
+        turns.push(turn);
+      }
+      turn.last = r;
+      turn.cost_usd += r.cost_usd;
+    }
+  }
+
+  const anomalies = [];
+  const byPrompt = groupBy(turns.filter(t => t.prompt_text), t => `${t.first.project_path || ''}\u0000${normalizePrompt(t.prompt_text)}`);
+  for (const [key, group] of byPrompt) {
+    if (group.length < LOOP_MIN_REPEATS || key.split('\u0000')[1].length < LOOP_MIN_CHARS) continue;
+    group.sort((x, y) => (x.first.occurred_at < y.first.occurred_at ? -1 : 1));
+    const cost     = group.reduce((s, t) => s + t.cost_usd, 0);
+    if (cost < LOOP_MIN_USD) continue;
+    const sessions = new Set(group.map(t => t.first.session_id));
+    const latest   = group[group.length - 1].last;
+    anomalies.push(anomaly('prompt_loop', key.replace('\u0000', '|').slice(0, 120), latest, {
+      title:     `Same prompt started ${group.length} times`,
+      detail:    `"${group[0].prompt_text.slice(0, 80)}" — ${money(cost)} across ${sessions.size} session${sessions.size > 1 ? 's' : ''} between ${group[0].first.occurred_at.slice(0, 16)} and ${latest.occurred_at.slice(0, 16)}`,
+      cost_usd:  cost,
+      event_ids: group.slice(-MAX_EVENT_IDS).map(t => t.first.id),
+    }));
+  }
+  return anomalies;
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function anomaly(type, key, ev, fields) {
+  return {
+    id:           `${type}:${key}`,
+    type,
+    severity:     fields.cost_usd >= CRITICAL_USD ? 'critical' : 'warning',
+    occurred_at:  ev.occurred_at,
+    project_path: ev.project_path || null,
+    model:        ev.model,
+    session_id:   ev.session_id || null,
+    ...fields,
+    links: ev.session_id ? {
+      session: `/api/sessions/${encodeURIComponent(ev.session_id)}`,
+      events:  `/api/events?session_id=${encodeURIComponent(ev.session_id)}`,
+    } : {},
+  };
+}
+
+// Ids, hashes, numbers and spacing differ between loop iterations — drop them
+function normalizePrompt(text) {
+  return text.toLowerCase()
+    .replace(/[0-9a-f]{8,}/g, '#')
+    .replace(/\d+/g, '#')
+    .replace(/[^\w#]+/g, ' ')
+    .trim()
+    .slice(0, 200);
+}
+
+function groupBy(list, keyFn) {
+  const map = new Map();
+  for (const item of list) {
+    const k = keyFn(item);
+    if (!map.has(k)) map.set(k, []);
+    map.get(k).push(item);
+  }
+  return map;
+}
+
+function median(values) {
+  const s = [...values].sort((a, b) => a - b);
+  const m = s.length >> 1;
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+const money = v => '$' + v.toFixed(v >= 1 ? 2 : 4);
+
+module.exports = { detectAnomalies, normalizePrompt };
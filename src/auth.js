@@ -0,0 +1,147 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Optional access control for a dashboard others can reach (--bind, a
+ * forwarded port, a shared dev box). Two tokens, two roles:
+ *
+ *   admin  everything, including POST /api/refresh, budget changes and deletes
+ *   read   GET routes plus writes that only compute, such as POST /api/simulate
+ *
+ * Scripts send `Authorization: Bearer <token>`. Browsers sign in once at
+ * /login and get an HttpOnly, SameSite=Strict session cookie; with a cookie,
+ * every request that changes something must also echo the session's CSRF
+ * token in X-CSRF-Token. Without tokens every request is admin, as before.
+ */
+const ROLES          = { read: 1, admin: 2 };
+const COOKIE         = 'llm_spend_session';
+const SESSION_TTL_MS = 7 * 86400000;
+const MIN_TOKEN_LEN  = 16;
+const SAFE_METHODS   = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Writes a read-only user may still make — they compute an answer and store nothing
+const READ_ONLY_WRITES = new Set(['POST /api/simulate']);
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.adminToken]
+ * @param {string} [options.readToken]
+ */
+function createAuth({ adminToken, readToken } = {}) {
+  if (readToken && !adminToken) throw new Error('--read-token needs an --admin-token as well');
+  for (const t of [adminToken, readToken]) {
+    if (t && t.length < MIN_TOKEN_LEN) throw new Error(`Auth tokens must be at least ${MIN_TOKEN_LEN} characters`);
+  }
+  if (adminToken && adminToken === readToken) throw new Error('The admin and read-only tokens must differ');
+
+  const tokens   = [];
+  if (adminToken) tokens.push({ role: 'admin', hash: digest(adminToken) });
+  if (readToken)  tokens.push({ role: 'read',  hash: digest(readToken) });
+  const sessions = new Map(); // id → { role, csrf, expires }
+
+  function roleForToken(token) {
+    if (!token) return null;
+    const hash = digest(token);
+    const hit  = tokens.find(t => crypto.timingSafeEqual(t.hash, hash));
+    return hit ? hit.role : null;
+  }
+
+  // Who is asking: { role, session } — session is null for bearer tokens
+  function identify(req) {
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+    if (bearer) {
+      const role = roleForToken(bearer[1].trim());
+      return role && { role, session: null };
+    }
+    const id      = readCookie(req, COOKIE);
+    const session = id && sessions.get(id);
+    if (!session) return null;
+    if (session.expires < Date.now()) { sessions.delete(id); return null; }
+    return { role: session.role, session };
+  }
+
+  return {
+    enabled: tokens.length > 0,
+
+    // Exchange a token for a browser session; null when the token is wrong
+    login(token) {
+      const role = roleForToken(token);
+      if (!role) return null;
+      const now = Date.now();
+      for (const [id, s] of sessions) if (s.expires < now) sessions.delete(id);
+      const session = { id: randomId(), role, csrf: randomId(), expires: now + SESSION_TTL_MS };
+      sessions.set(session.id, session);
+      return session;
+    },
+
+    logout(req) {
+      const id = readCookie(req, COOKIE);
+      if (id) sessions.delete(id);
+    },
+
+    // Sets req.auth = { role, session }; everything mounted after it is protected
+    middleware(req, res, next) {
+      if (!tokens.length) {
+        req.auth = { role: 'admin', session: null };
+        return next();
+      }
+      const who = identify(req);
+      if (!who) {
+        if (req.path.startsWith('/api/') || req.path === '/metrics') return res.status(401).json({ error: 'Sign in at /login or send Authorization: Bearer <token>' });
+        return res.redirect('/login');
+      }
+      if (!SAFE_METHODS.has(req.method)) {
+        if (who.session && !sameSecret(req.get('x-csrf-token'), who.session.csrf)) {
+          return res.status(403).json({ error: 'Missing or stale CSRF token — reload the page' });
+        }
+        if (ROLES[who.role] < ROLES.admin && !READ_ONLY_WRITES.has(`${req.method} ${req.path}`)) {
+          return res.status(403).json({ error: 'This needs the admin token' });
+        }
+      }
+      req.auth = who;
+      next();
+    },
+
+    cookie: COOKIE,
+    cookieOptions: req => ({ httpOnly: true, sameSite: 'strict', secure: req.secure, path: '/', maxAge: SESSION_TTL_MS }),
+  };
+}
+
+/**
+ * Refuse writes a browser makes on behalf of another site. Browsers always
+ * send Origin on cross-origin POST/PUT/DELETE; curl and `llm-spend push`
+ * send none, so they are unaffected.
+ */
+function sameOrigin(req, res, next) {
+  const origin = req.get('origin');
+  if (SAFE_METHODS.has(req.method) || !origin) return next();
+  let host = null;
+  try { host = new URL(origin).host; } catch { /* "null" and other opaque origins */ }
+  if (host !== req.get('host')) return res.status(403).json({ error: 'Cross-origin request refused' });
+  next();
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function sameSecret(given, expected) {
+  return !!given && crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+function randomId() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function readCookie(req, name) {
+  for (const part of (req.get('cookie') || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i !== -1 && part.slice(0, i).trim() === name) return part.slice(i + 1).trim();
+  }
+  return null;
+}
+
+module.exports = { createAuth, sameOrigin };
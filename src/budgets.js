@@ -0,0 +1,110 @@
+'use strict';
+
+const { getSetting, setSetting, getDailyCost } = require('./db');
+const { today: todayIn } = require('./timezone');
+
+const PERIODS = ['daily', 'weekly', 'monthly'];
+const SCOPES  = ['overall', 'project', 'model'];
+const DAY_MS  = 86400000;
+
+/**
+ * Budgets live in the settings table under `budgets` as an array of
+ *   { scope: 'overall'|'project'|'model', target, period: 'daily'|'weekly'|'monthly',
+ *     limit_usd, warn_pct }
+ * `target` is a project_path for project budgets and a model family such as
+ * "opus" or "sonnet" (matched within the model name) for model budgets.
+ */
+function getBudgets(db) {
+  return getSetting(db, 'budgets') || [];
+}
+
+function saveBudgets(db, input) {
+  const budgets = normalizeBudgets(input);
+  setSetting(db, 'budgets', budgets);
+  return budgets;
+}
+
+/**
+ * Validate user input; throws with a readable message on the first bad entry.
+ * One budget per scope/target/period — later entries replace earlier ones.
+ */
+function normalizeBudgets(input) {
+  if (!Array.isArray(input)) throw new Error('Expected an array of budgets');
+  const byId = new Map();
+  for (const b of input) {
+    if (!b || !SCOPES.includes(b.scope))   throw new Error(`scope must be one of ${SCOPES.join(', ')}`);
+    if (!PERIODS.includes(b.period))       throw new Error(`period must be one of ${PERIODS.join(', ')}`);
+    const limit = Number(b.limit_usd);
+    if (!(limit > 0))                      throw new Error('limit_usd must be a positive number');
+    const target = b.scope === 'overall' ? null : String(b.target || '').trim();
+    if (b.scope !== 'overall' && !target)  throw new Error(`${b.scope} budgets need a target`);
+    const warn = b.warn_pct == null ? 80 : Number(b.warn_pct);
+    if (!(warn > 0 && warn <= 100))        throw new Error('warn_pct must be between 1 and 100');
+
+    const id = `${b.scope}:${target || '*'}:${b.period}`;
+    byId.set(id, { id, scope: b.scope, target, period: b.period, limit_usd: limit, warn_pct: warn });
+  }
+  return [...byId.values()];
+}
+
+/**
+ * Spend so far in the current period for every budget, plus a forecast for the
+ * end of the period. The forecast uses the dashboard's Monthly Projection
+ * run rate: spend divided by days with activity, carried over the days left.
+ * Periods start at midnight in tz (UTC without one), like the dashboard's days.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {Date} [now]
+ * @param {string|null} [tz]
+ */
+function evaluateBudgets(db, now = new Date(), tz = null) {
+  return getBudgets(db).map(b => {
+    const win   = periodWindow(b.period, now, tz);
+    const days  = getDailyCost(db, win.from, win.to, {
+      project_path: b.scope === 'project' ? b.target : undefined,
+      model_like:   b.scope === 'model'   ? b.target : undefined,
+      tz,
+    });
+    const spent      = days.reduce((s, d) => s + d.cost_usd, 0);
+    const activeDays = Math.max(days.length, 1);
+    const dailyAvg   = spent / activeDays;
+    const projected  = spent + dailyAvg * win.daysLeft;
+    const pct        = spent / b.limit_usd * 100;
+
+    return {
+      ...b,
+      period_start:     win.from,
+      period_end:       win.to,
+      spent_usd:        spent,
+      remaining_usd:    Math.max(b.limit_usd - spent, 0),
+      pct,
+      daily_avg_usd:    dailyAvg,
+      projected_usd:    projected,
+      forecast_overrun: projected > b.limit_usd,
+      status:           pct >= 100 ? 'exceeded' : pct >= b.warn_pct ? 'warning' : 'ok',
+    };
+  });
+}
+
+// Current period as inclusive YYYY-MM-DD bounds in tz (UTC without one), and whole days after today
+function periodWindow(period, now, tz = null) {
+  const today = new Date(todayIn(tz, now) + 'T00:00:00Z');
+  let start, end;
+  if (period === 'daily') {
+    start = end = today;
+  } else if (period === 'weekly') {
+    const sinceMonday = (today.getUTCDay() + 6) % 7;
+    start = new Date(today.getTime() - sinceMonday * DAY_MS);
+    end   = new Date(start.getTime() + 6 * DAY_MS);
+  } else {
+    start = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+    end   = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 0));
+  }
+  return {
+    from:     start.toISOString().slice(0, 10),
+    to:       end.toISOString().slice(0, 10),
+    daysLeft: Math.round((end - today) / DAY_MS),
+  };
+}
+
+module.exports = { getBudgets, saveBudgets, evaluateBudgets, normalizeBudgets, periodWindow };
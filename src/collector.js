@@ -0,0 +1,200 @@
+'use strict';
+
+const crypto = require('crypto');
+const os     = require('os');
+const { getDb, insertEvent, LOCAL_USER } = require('./db');
+const { loadAllEvents } = require('./parser');
+const { resolveSources } = require('./sources');
+const { computeCostUSD, inferProvider } = require('./pricing');
+const { protectText, loadPrivacy } = require('./privacy');
+const { purgedFilter } = require('./retention');
+
+/**
+ * Team view. Each developer runs `llm-spend push --to <collector>`, which
+ * uploads their events to a server started with `llm-spend serve --collector`.
+ * Every batch is signed with a secret both sides share:
+ *
+ *   X-LLM-Spend-Timestamp: <unix seconds>
+ *   X-LLM-Spend-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *
+ * The body is { user, host, events: [...] }. Prompt text stays on the
+ * developer's machine unless they push with --include-prompts.
+ */
+const MAX_SKEW_S = 300;  // reject batches signed further than this from the collector's clock
+const BATCH_SIZE = 1000; // events per request when pushing
+const MAX_BATCH  = 5000; // events the collector accepts per request
+
+const TOKEN_FIELDS = ['input_tokens', 'output_tokens', 'cache_creation_tokens', 'cache_read_tokens', 'cache_creation_1h_tokens'];
+const TEXT_FIELDS  = ['session_id', 'project_path', 'agent_id', 'service_tier', 'source', 'git_branch', 'repo_root'];
+const UPLOAD_FIELDS = ['provider', 'model', 'request_id', 'occurred_at', ...TEXT_FIELDS, ...TOKEN_FIELDS];
+
+// ── Signing ───────────────────────────────────────────────────────────────────
+
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(body).digest('hex');
+}
+
+// Throws unless the headers carry a fresh signature of body made with secret
+function verifySignature(secret, headers, body, now = Date.now()) {
+  const timestamp = Number(headers['x-llm-spend-timestamp']);
+  const given     = Buffer.from(String(headers['x-llm-spend-signature'] || ''));
+  if (!timestamp || !given.length) throw new Error('Missing X-LLM-Spend-Timestamp / X-LLM-Spend-Signature headers');
+  if (Math.abs(now / 1000 - timestamp) > MAX_SKEW_S) throw new Error('Batch timestamp is too far from the collector clock');
+
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) throw new Error('Bad signature');
+}
+
+// ── Collector side ────────────────────────────────────────────────────────────
+
+// Throws with a readable message on the first bad field
+function normalizeBatch(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('Expected a JSON object');
+  const user = text(body.user, 'user', 100);
+  if (!user)               throw new Error('user is required');
+  if (user === LOCAL_USER) throw new Error(`"${LOCAL_USER}" is reserved for the collector's own logs`);
+  const host = text(body.host, 'host', 255);
+
+  if (!Array.isArray(body.events))      throw new Error('events must be an array');
+  if (body.events.length > MAX_BATCH)   throw new Error(`At most ${MAX_BATCH} events per batch`);
+  return { user, host, events: body.events.map((ev, i) => normalizeEvent(ev, `events[${i}]`)) };
+}
+
+function normalizeEvent(ev, at) {
+  if (!ev || typeof ev !== 'object') throw new Error(`${at} must be an object`);
+  const model     = text(ev.model, `${at}.model`, 200);
+  const requestId = text(ev.request_id, `${at}.request_id`, 500);
+  const when      = new Date(ev.occurred_at);
+  if (!model)                        throw new Error(`${at}.model is required`);
+  if (!requestId)                    throw new Error(`${at}.request_id is required — the collector dedups on it`);
+  if (!ev.occurred_at || isNaN(when)) throw new Error(`${at}.occurred_at must be a date`);
+
+  const out = {
+    provider:    text(ev.provider, `${at}.provider`, 50) || inferProvider(model),
+    model,
+    request_id:  requestId,
+    occurred_at: when.toISOString(),
+    // The collector's own privacy mode applies on top of the sender's
+    prompt_text: typeof ev.prompt_text === 'string' ? protectText(ev.prompt_text) : null,
+  };
+  for (const f of TEXT_FIELDS) out[f] = text(ev[f], `${at}.${f}`, 1000);
+  out.source = out.source || 'claude-code';
+  for (const f of TOKEN_FIELDS) {
+    const n = ev[f] == null ? 0 : Number(ev[f]);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`${at}.${f} must be a non-negative integer`);
+    out[f] = n;
+  }
+  // Priced here rather than trusted, so the whole team is on the collector's price list
+  out.cost_usd = computeCostUSD(model, out.input_tokens, out.output_tokens,
+    out.cache_creation_tokens, out.cache_read_tokens, out);
+  return out;
+}
+
+function text(value, name, max) {
+  if (value == null || value === '') return null;
+  if (typeof value !== 'string') throw new Error(`${name} must be a string`);
+  if (value.length > max)        throw new Error(`${name} is longer than ${max} characters`);
+  return value;
+}
+
+/**
+ * Store a normalized batch, tagged with who sent it. Events the collector
+ * already has (same provider + request_id) are skipped, so pushing the same
+ * history twice is harmless; so are events retention or a purge deleted.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ user: string, host: string|null, events: object[] }} batch  from normalizeBatch()
+ * @param {(ev: object) => void} [onInsert]
+ * @returns {{ received: number, inserted: number }}
+ */
+function ingestBatch(db, { user, host, events }, onInsert) {
+  let inserted = 0;
+  const purged = purgedFilter(db);
+  db.transaction(() => {
+    for (const ev of events) {
+      const tagged = { ...ev, user_name: user, host_name: host };
+      if (purged(tagged) || !insertEvent(db, tagged).changes) continue;
+      inserted++;
+      if (onInsert) onInsert(tagged);
+    }
+  })();
+  return { received: events.length, inserted };
+}
+
+// ── Client side ───────────────────────────────────────────────────────────────
+
+/**
+ * Upload events to a collector in signed batches, one request at a time.
+ *
+ * @param {object} options
+ * @param {string} options.to      collector base URL, e.g. http://host:3000
+ * @param {string} options.secret
+ * @param {object[]} options.events
+ * @param {string} [options.user]  default: the OS user name
+ * @param {string} [options.host]  default: this machine's hostname
+ * @param {boolean} [options.includePrompts]
+ * @returns {Promise<{ sent: number, inserted: number, batches: number }>}
+ */
+async function pushEvents({ to, secret, events, user = os.userInfo().username, host = os.hostname(),
+                            includePrompts = false, batchSize = BATCH_SIZE }) {
+  const url    = new URL('api/ingest', to.endsWith('/') ? to : to + '/');
+  const result = { sent: 0, inserted: 0, batches: 0 };
+
+  for (let i = 0; i < events.length; i += batchSize) {
+    const batch     = events.slice(i, i + batchSize).map(ev => uploadable(ev, includePrompts));
+    const body      = JSON.stringify({ user, host, events: batch });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const res = await fetch(url, {
+      method:  'POST',
+      headers: {
+        'Content-Type':          'application/json',
+        'X-LLM-Spend-Timestamp': String(timestamp),
+        'X-LLM-Spend-Signature': sign(secret, timestamp, body),
+      },
+      body,
+    });
+    const reply = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(`Collector rejected batch ${result.batches + 1}: ${reply.error || `${res.status} ${res.statusText}`}`);
+    result.sent     += batch.length;
+    result.inserted += reply.inserted || 0;
+    result.batches++;
+  }
+  return result;
+}
+
+// Only what the collector stores — prompt text leaves this machine only when asked
+function uploadable(ev, includePrompts) {
+  const out = {};
+  for (const f of UPLOAD_FIELDS) if (ev[f] != null) out[f] = ev[f];
+  if (includePrompts && ev.prompt_text) out.prompt_text = ev.prompt_text;
+  return out;
+}
+
+/**
+ * `llm-spend push`: read every configured source and upload it.
+ *
+ * @param {object} options
+ * @param {string} options.to
+ * @param {string} options.secret
+ * @param {string} [options.claudeDir]
+ * @param {string[]} [options.sources]  --source specs (default: claude-code at claudeDir)
+ * @param {string} [options.dataDir]    where the privacy mode is saved
+ * @param {string} [options.privacy]    full | redacted | off — applied to --include-prompts
+ * @param {string} [options.from]       YYYY-MM-DD — skip older events
+ * @param {string} [options.user]
+ * @param {string} [options.host]
+ * @param {boolean} [options.includePrompts]
+ * @returns {Promise<string>} summary line
+ */
+async function runPush(options) {
+  if (!options.to)     throw new Error('push needs --to <collector URL>');
+  if (!options.secret) throw new Error('push needs --secret or the LLM_SPEND_SECRET environment variable');
+
+  loadPrivacy(getDb(options.dataDir), options.privacy);
+  const events = (await loadAllEvents(null, resolveSources(options.sources, options.claudeDir)))
+    .filter(ev => !options.from || ev.occurred_at >= options.from);
+  const r = await pushEvents({ ...options, events });
+  return `Pushed ${r.sent} events in ${r.batches} batch${r.batches === 1 ? '' : 'es'} to ${options.to} — ${r.inserted} new`;
+}
+
+module.exports = { sign, verifySignature, normalizeBatch, ingestBatch, pushEvents, runPush };
@@ -0,0 +1,134 @@
+'use strict';
+
+const { getUsageSummary } = require('./db');
+const { normalizeDate, bucketOf, dayStart, shiftDate } = require('./timezone');
+
+/**
+ * Two filter sets side by side — two date ranges, projects, models or
+ * sources (or any mix) — with the change from A to B:
+ *
+ *   GET /api/compare?a[from]=2026-09-01&a[to]=2026-09-30&b[from]=2026-10-01&b[to]=2026-10-31
+ *   GET /api/compare?a[project]=/work/app&b[project]=/work/api&from=…
+ *
+ * Each side's series is indexed by bucket offset from the start of its own
+ * range, so two different ranges can be drawn over each other.
+ */
+const SIDE_FIELDS = ['from', 'to', 'project', 'model', 'provider', 'source', 'user'];
+
+/**
+ * Pull the a[…] and b[…] filter sets out of a parsed query string. Top-level
+ * from / to / user apply to a side that doesn't set its own.
+ *
+ * @returns {{ a: object, b: object }}
+ */
+function normalizeCompare(query = {}) {
+  const sides = {};
+  for (const name of ['a', 'b']) {
+    const input = query[name];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw new Error('Pass two filter sets, e.g. a[from]=2026-09-01&a[to]=2026-09-30&b[from]=2026-10-01&b[to]=2026-10-31');
+    }
+    const side = {};
+    for (const field of SIDE_FIELDS) {
+      const value = input[field] != null && input[field] !== '' ? input[field] : query[field];
+      if (value == null || value === '') continue;
+      if (typeof value !== 'string') throw new Error(`${name}[${field}] must be given once`);
+      side[field] = value;
+    }
+    for (const f of ['from', 'to']) normalizeDate(side[f], `${name}[${f}]`);
+    if (side.from && side.to && side.from > side.to) throw new Error(`${name}[from] is after ${name}[to]`);
+    sides[name] = side;
+  }
+  return sides;
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ a: object, b: object }} sides  from normalizeCompare()
+ * @param {{ tz?: string|null, granularity?: string }} [options]
+ */
+function compareUsage(db, { a, b }, { tz = null, granularity = 'day' } = {}) {
+  const left  = summarize(db, a, tz, granularity);
+  const right = summarize(db, b, tz, granularity);
+  return {
+    granularity,
+    a:     left,
+    b:     right,
+    delta: {
+      cost_usd:         change(left.totals.cost_usd, right.totals.cost_usd),
+      requests:         change(left.totals.requests, right.totals.requests),
+      cache_hit_rate:   change(left.totals.cache_hit_rate, right.totals.cache_hit_rate),
+      cost_per_request: change(left.totals.cost_per_request, right.totals.cost_per_request),
+      model_mix:        modelMix(left.models, right.models),
+    },
+  };
+}
+
+function summarize(db, filters, tz, granularity) {
+  const { totals, byModel, series } = getUsageSummary(db, { ...filters, tz }, granularity);
+  // Same measure as the dashboard's cache card: share of prompt tokens read from cache
+  const prompt = totals.input_tokens + totals.cache_read_tokens;
+  const cost   = totals.cost_usd;
+
+  const first = filters.from ? bucketOf(dayStart(filters.from, tz), tz, granularity) : series[0] && series[0].date;
+  const last  = filters.to   ? lastBucket(filters.to, tz, granularity) : series.length ? series[series.length - 1].date : null;
+  return {
+    filters,
+    label:  describe(filters),
+    totals: {
+      ...totals,
+      cache_hit_rate:   prompt ? totals.cache_read_tokens / prompt : 0,
+      cost_per_request: totals.requests ? cost / totals.requests : 0,
+    },
+    models: byModel.map(m => ({ ...m, share: cost ? m.cost_usd / cost : 0 })),
+    series: series.map(s => ({ ...s, offset: bucketOffset(first, s.date, granularity) })),
+    buckets: first && last ? bucketOffset(first, last, granularity) + 1 : 0,
+  };
+}
+
+// B against A: absolute difference, and percent change when A isn't zero
+function change(a, b) {
+  return { a, b, diff: b - a, pct: a ? (b - a) / a * 100 : null };
+}
+
+// Every model either side used, by its share of each side's cost; biggest swing first
+function modelMix(left, right) {
+  const models = new Map();
+  const empty  = { requests: 0, cost_usd: 0, share: 0 };
+  for (const m of left)  models.set(m.model, { model: m.model, a: pick(m), b: empty });
+  for (const m of right) models.set(m.model, { model: m.model, a: empty, ...models.get(m.model), b: pick(m) });
+  return [...models.values()]
+    .map(m => ({ ...m, share_diff: m.b.share - m.a.share }))
+    .sort((x, y) => Math.abs(y.share_diff) - Math.abs(x.share_diff) || y.b.cost_usd - x.b.cost_usd);
+}
+
+function pick({ requests, cost_usd, share }) {
+  return { requests, cost_usd, share };
+}
+
+// Short description of a filter set, for legends and headings
+function describe(f) {
+  const parts = [];
+  if (f.from || f.to) parts.push(`${f.from || '…'} – ${f.to || '…'}`);
+  for (const field of ['project', 'model', 'provider', 'source', 'user']) if (f[field]) parts.push(f[field]);
+  return parts.join(' · ') || 'All usage';
+}
+
+// The bucket holding the last hour of `date` in tz
+function lastBucket(date, tz, granularity) {
+  const end = Date.parse(dayStart(shiftDate(date, 1), tz)) - 1;
+  return bucketOf(new Date(end).toISOString(), tz, granularity);
+}
+
+// Buckets between two bucket keys of the same granularity
+function bucketOffset(first, bucket, granularity) {
+  if (!first || !bucket) return 0;
+  switch (granularity) {
+    case 'hour':  return Math.round((Date.parse(bucket + ':00Z') - Date.parse(first + ':00Z')) / 3600000);
+    case 'month': return (+bucket.slice(0, 4) - +first.slice(0, 4)) * 12 + (+bucket.slice(5, 7) - +first.slice(5, 7));
+    case 'week':  return Math.round((Date.parse(bucket) - Date.parse(first)) / 86400000 / 7);
+    default:      return Math.round((Date.parse(bucket) - Date.parse(first)) / 86400000);
+  }
+}
+
+module.exports = { normalizeCompare, compareUsage, SIDE_FIELDS };
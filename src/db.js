@@ -4,9 +4,12 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const { bucketOf, dateBounds } = require('./timezone');
 
 let _db = null;
 
+const LOCAL_USER = 'local';
+
 function getDb(dataDir) {
   if (_db) return _db;
 
@@ -16,6 +19,7 @@ function getDb(dataDir) {
   _db = new Database(path.join(dir, 'llm-spend.db'));
   _db.pragma('journal_mode = WAL');
   _db.pragma('foreign_keys = ON');
+  _db.function('local_bucket', { deterministic: true }, (iso, tz, granularity) => bucketOf(iso, tz, granularity));
   migrate(_db);
   return _db;
 }
@@ -37,6 +41,7 @@ function migrate(db) {
       cache_read_tokens     INTEGER DEFAULT 0,
       cost_usd              REAL NOT NULL DEFAULT 0.0,
       source                TEXT NOT NULL DEFAULT 'claude-code',
+      prompt_text           TEXT,
       UNIQUE(provider, request_id)
     );
     CREATE INDEX IF NOT EXISTS idx_events_occurred_at ON usage_events(occurred_at);
@@ -60,7 +65,55 @@ function migrate(db) {
       last_line_index INTEGER NOT NULL DEFAULT 0,
       last_imported   TEXT NOT NULL DEFAULT (datetime('now'))
     );
+
+    -- One row per Task-tool subagent run, linked to the session and tool call that started it
+    CREATE TABLE IF NOT EXISTS subagent_runs (
+      agent_id      TEXT PRIMARY KEY,
+      session_id    TEXT,
+      tool_use_id   TEXT,
+      description   TEXT,
+      subagent_type TEXT
+    );
+
+    -- One row per tool_use block; the result half is filled in when its tool_result arrives
+    CREATE TABLE IF NOT EXISTS tool_calls (
+      tool_use_id   TEXT PRIMARY KEY,
+      session_id    TEXT,
+      agent_id      TEXT,
+      request_id    TEXT,
+      project_path  TEXT,
+      tool_name     TEXT,
+      target        TEXT,
+      called_at     TEXT,
+      result_at     TEXT,
+      result_chars  INTEGER,
+      result_tokens INTEGER,
+      is_error      INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS idx_tools_session   ON tool_calls(session_id);
+    CREATE INDEX IF NOT EXISTS idx_tools_called_at ON tool_calls(called_at);
   `);
+
+  // Columns added after the first release — CREATE TABLE IF NOT EXISTS won't add them
+  addColumn(db, 'usage_events', 'prompt_text', 'TEXT');
+  addColumn(db, 'usage_events', 'cache_creation_1h_tokens', 'INTEGER DEFAULT 0');
+  addColumn(db, 'usage_events', 'service_tier', 'TEXT');
+  addColumn(db, 'usage_events', 'agent_id', 'TEXT');
+  addColumn(db, 'usage_events', 'user_name', 'TEXT'); // set on events pushed to a collector
+  addColumn(db, 'usage_events', 'host_name', 'TEXT');
+  addColumn(db, 'usage_events', 'git_branch', 'TEXT');
+  addColumn(db, 'usage_events', 'repo_root', 'TEXT'); // git repository project_path belongs to
+  addColumn(db, 'import_state', 'byte_offset', 'INTEGER NOT NULL DEFAULT 0');
+  addColumn(db, 'import_state', 'prompt_text', 'TEXT'); // superseded by parser_state
+  addColumn(db, 'import_state', 'parser_state', 'TEXT');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_events_user ON usage_events(user_name)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_events_repo ON usage_events(repo_root, occurred_at)');
+}
+
+function addColumn(db, table, column, definition) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (cols.some(c => c.name === column)) return;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
 }
 
 // ── Settings ─────────────────────────────────────────────────────────────────
@@ -91,15 +144,18 @@ function getImportState(db, filePath) {
   return db.prepare('SELECT * FROM import_state WHERE file_path = ?').get(filePath);
 }
 
-function upsertImportState(db, filePath, fileMtime, lastLineIndex) {
+// byte_offset / parser_state let the next import resume mid-file without re-reading it
+function upsertImportState(db, filePath, fileMtime, lastLineIndex, byteOffset = 0, parserState = null) {
   db.prepare(`
-    INSERT INTO import_state(file_path, file_mtime, last_line_index, last_imported)
-    VALUES (?, ?, ?, datetime('now'))
+    INSERT INTO import_state(file_path, file_mtime, last_line_index, byte_offset, parser_state, last_imported)
+    VALUES (?, ?, ?, ?, ?, datetime('now'))
     ON CONFLICT(file_path) DO UPDATE SET
       file_mtime = excluded.file_mtime,
       last_line_index = excluded.last_line_index,
+      byte_offset = excluded.byte_offset,
+      parser_state = excluded.parser_state,
       last_imported = excluded.last_imported
-  `).run(filePath, fileMtime, lastLineIndex);
+  `).run(filePath, fileMtime, lastLineIndex, byteOffset, parserState && JSON.stringify(parserState));
 }
 
 function clearImportState(db) {
@@ -108,37 +164,124 @@ function clearImportState(db) {
 
 // ── Events ────────────────────────────────────────────────────────────────────
 
+// Prepared once per connection — insertEvent runs for every line of every transcript
+const insertStmts = new WeakMap();
+
 function insertEvent(db, ev) {
-  return db.prepare(`
-    INSERT OR IGNORE INTO usage_events
-      (provider, model, session_id, project_path, request_id, occurred_at,
-       input_tokens, output_tokens, cache_creation_tokens, cache_read_tokens,
-       cost_usd, source)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `).run(
+  let stmt = insertStmts.get(db);
+  if (!stmt) {
+    stmt = db.prepare(`
+      INSERT OR IGNORE INTO usage_events
+        (provider, model, session_id, project_path, request_id, occurred_at,
+         input_tokens, output_tokens, cache_creation_tokens, cache_read_tokens,
+         cost_usd, source, prompt_text, cache_creation_1h_tokens, service_tier, agent_id,
+         user_name, host_name, git_branch, repo_root)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    insertStmts.set(db, stmt);
+  }
+  return stmt.run(
     ev.provider, ev.model, ev.session_id || null, ev.project_path || null,
     ev.request_id || null, ev.occurred_at,
     ev.input_tokens || 0, ev.output_tokens || 0,
     ev.cache_creation_tokens || 0, ev.cache_read_tokens || 0,
-    ev.cost_usd || 0, ev.source || 'claude-code'
+    ev.cost_usd || 0, ev.source || 'claude-code', ev.prompt_text || null,
+    ev.cache_creation_1h_tokens || 0, ev.service_tier || null, ev.agent_id || null,
+    ev.user_name || null, ev.host_name || null, ev.git_branch || null, ev.repo_root || null
   );
 }
 
-function getOverview(db, from, to) {
-  let where = buildWhere(from, to);
+// An event imported before its branch / repository were recorded: fill them in on re-import
+function fillGitInfo(db, ev) {
+  if (!ev.git_branch && !ev.repo_root) return;
+  db.prepare(`
+    UPDATE usage_events
+    SET git_branch = COALESCE(git_branch, ?), repo_root = COALESCE(repo_root, ?)
+    WHERE provider = ? AND request_id = ? AND (git_branch IS NULL OR repo_root IS NULL)
+  `).run(ev.git_branch || null, ev.repo_root || null, ev.provider, ev.request_id);
+}
+
+/**
+ * Set repo_root on this machine's stored events from resolve(project_path) —
+ * one call per distinct path. Events pushed from other machines are skipped:
+ * their paths mean nothing here.
+ *
+ * @returns {number} events updated
+ */
+function resolveRepoRoots(db, resolve) {
+  const paths  = db.prepare(`
+    SELECT DISTINCT project_path FROM usage_events
+    WHERE repo_root IS NULL AND project_path IS NOT NULL AND user_name IS NULL
+  `).pluck().all();
+  const update = db.prepare(`
+    UPDATE usage_events SET repo_root = ?
+    WHERE project_path = ? AND repo_root IS NULL AND user_name IS NULL
+  `);
+  let n = 0;
+  db.transaction(() => {
+    for (const p of paths) {
+      const root = resolve(p);
+      if (root) n += update.run(root, p).changes;
+    }
+  })();
+  return n;
+}
+
+// Links arrive piecemeal (subagent transcript, parent's tool call, its result) — keep what is known
+function upsertSubagentRun(db, run) {
+  db.prepare(`
+    INSERT INTO subagent_runs(agent_id, session_id, tool_use_id, description, subagent_type)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(agent_id) DO UPDATE SET
+      session_id    = COALESCE(excluded.session_id, session_id),
+      tool_use_id   = COALESCE(excluded.tool_use_id, tool_use_id),
+      description   = COALESCE(excluded.description, description),
+      subagent_type = COALESCE(excluded.subagent_type, subagent_type)
+  `).run(run.agent_id, run.session_id || null, run.tool_use_id || null,
+    run.description || null, run.subagent_type || null);
+}
+
+// Same merge rule as subagent runs: the call and its result come from different lines
+function upsertToolCall(db, call) {
+  db.prepare(`
+    INSERT INTO tool_calls(tool_use_id, session_id, agent_id, request_id, project_path, tool_name, target,
+                           called_at, result_at, result_chars, result_tokens, is_error)
+    VALUES (@tool_use_id, @session_id, @agent_id, @request_id, @project_path, @tool_name, @target,
+            @called_at, @result_at, @result_chars, @result_tokens, @is_error)
+    ON CONFLICT(tool_use_id) DO UPDATE SET
+      session_id    = COALESCE(excluded.session_id, session_id),
+      agent_id      = COALESCE(excluded.agent_id, agent_id),
+      request_id    = COALESCE(excluded.request_id, request_id),
+      project_path  = COALESCE(excluded.project_path, project_path),
+      tool_name     = COALESCE(excluded.tool_name, tool_name),
+      target        = COALESCE(excluded.target, target),
+      called_at     = COALESCE(excluded.called_at, called_at),
+      result_at     = COALESCE(excluded.result_at, result_at),
+      result_chars  = COALESCE(excluded.result_chars, result_chars),
+      result_tokens = COALESCE(excluded.result_tokens, result_tokens),
+      is_error      = COALESCE(excluded.is_error, is_error)
+  `).run({
+    session_id: null, agent_id: null, request_id: null, project_path: null, tool_name: null, target: null,
+    called_at: null, result_at: null, result_chars: null, result_tokens: null, is_error: null,
+    ...call,
+  });
+}
+
+function getOverview(db, from, to, user, tz) {
+  let where = buildWhere(from, to, user, tz);
   const totals = db.prepare(`
     SELECT
-      COUNT(*)          AS total_requests,
-      SUM(input_tokens) AS input_tokens,
-      SUM(output_tokens) AS output_tokens,
-      SUM(cache_creation_tokens) AS cache_creation_tokens,
-      SUM(cache_read_tokens) AS cache_read_tokens,
-      SUM(cost_usd)     AS cost_usd
+      COUNT(*)                                AS total_requests,
+      COALESCE(SUM(input_tokens), 0)          AS input_tokens,
+      COALESCE(SUM(output_tokens), 0)         AS output_tokens,
+      COALESCE(SUM(cache_creation_tokens), 0) AS cache_creation_tokens,
+      COALESCE(SUM(cache_read_tokens), 0)     AS cache_read_tokens,
+      TOTAL(cost_usd)                         AS cost_usd
     FROM usage_events ${where.sql}
   `).get(...where.params);
 
   // Exclude null/synthetic model entries (zero-cost placeholders)
-  const modelWhere = where.params.length
+  const modelWhere = where.sql
     ? where.sql + " AND model IS NOT NULL AND model != '<synthetic>'"
     : "WHERE model IS NOT NULL AND model != '<synthetic>'"
   const byModel = db.prepare(`
@@ -157,14 +300,15 @@ function getOverview(db, from, to) {
   return { totals, byModel };
 }
 
-function getTimeseries(db, from, to, groupBy = 'day') {
-  let where = buildWhere(from, to);
-  const tsWhere = where.params.length
+// groupBy: hour | day | week | month, cut in tz (see timezone.js); `date` is the bucket
+function getTimeseries(db, from, to, groupBy = 'day', user, tz) {
+  let where = buildWhere(from, to, user, tz);
+  const tsWhere = where.sql
     ? where.sql + " AND model IS NOT NULL AND model != '<synthetic>'"
     : "WHERE model IS NOT NULL AND model != '<synthetic>'"
   const rows = db.prepare(`
     SELECT
-      substr(occurred_at, 1, 10) AS date,
+      local_bucket(occurred_at, ?, ?) AS date,
       model,
       provider,
       SUM(cost_usd) AS cost_usd,
@@ -172,22 +316,50 @@ function getTimeseries(db, from, to, groupBy = 'day') {
     FROM usage_events ${tsWhere}
     GROUP BY date, model, provider
     ORDER BY date ASC
-  `).all(...where.params);
+  `).all(tz || null, groupBy, ...where.params);
   return rows;
 }
 
-function getTopSessions(db, from, to, limit = 20) {
-  let where = buildWhere(from, to);
+/**
+ * Spend by weekday × hour of day in tz — 168 cells, weekday 0 = Monday.
+ * Grouped by local hour in SQL, so at most one row per hour of the range reaches JS.
+ */
+function getHeatmap(db, from, to, user, tz) {
+  let where = buildWhere(from, to, user, tz);
+  const cells = [];
+  for (let weekday = 0; weekday < 7; weekday++) {
+    for (let hour = 0; hour < 24; hour++) cells.push({ weekday, hour, requests: 0, cost_usd: 0 });
+  }
+  const rows = db.prepare(`
+    SELECT local_bucket(occurred_at, ?, 'hour') AS bucket, COUNT(*) AS requests, TOTAL(cost_usd) AS cost_usd
+    FROM usage_events ${where.sql}
+    GROUP BY bucket
+  `).all(tz || null, ...where.params);
+  for (const r of rows) {
+    if (!r.bucket) continue;
+    const weekday = (new Date(r.bucket.slice(0, 10)).getUTCDay() + 6) % 7;
+    const cell    = cells[weekday * 24 + Number(r.bucket.slice(11, 13))];
+    cell.requests += r.requests;
+    cell.cost_usd += r.cost_usd;
+  }
+  return cells;
+}
+
+function getTopSessions(db, from, to, limit = 20, user, tz) {
+  let where = buildWhere(from, to, user, tz);
   return db.prepare(`
     SELECT
       session_id,
-      project_path,
+      MAX(project_path) AS project_path,
+      COALESCE(MAX(user_name), '${LOCAL_USER}') AS user,
       COUNT(*) AS requests,
       SUM(input_tokens)          AS input_tokens,
       SUM(output_tokens)         AS output_tokens,
       SUM(cache_creation_tokens) AS cache_creation_tokens,
       SUM(cache_read_tokens)     AS cache_read_tokens,
       SUM(cost_usd) AS cost_usd,
+      TOTAL(CASE WHEN agent_id IS NOT NULL THEN cost_usd END) AS subagent_cost_usd,
+      COUNT(DISTINCT agent_id) AS subagents,
       MIN(occurred_at) AS started_at,
       MAX(occurred_at) AS ended_at,
       GROUP_CONCAT(DISTINCT model) AS models
@@ -198,80 +370,548 @@ function getTopSessions(db, from, to, limit = 20) {
   `).all(...where.params, limit);
 }
 
-function getEvents(db, { page = 1, limit = 50, model, provider, from, to, session_id } = {}) {
-  const conditions = [];
-  const params = [];
+/**
+ * Cost tree for one session: the main conversation's own usage, then one
+ * node per subagent run with the Task call that started it.
+ */
+function getSessionTree(db, sessionId, from, to, tz) {
+  const { sql: where, params } = buildEventWhere({ session_id: sessionId, from, to, tz });
+  const nodes = db.prepare(`
+    SELECT
+      e.agent_id,
+      MAX(r.tool_use_id)   AS tool_use_id,
+      MAX(r.description)   AS description,
+      MAX(r.subagent_type) AS subagent_type,
+      COUNT(*) AS requests,
+      SUM(e.input_tokens)          AS input_tokens,
+      SUM(e.output_tokens)         AS output_tokens,
+      SUM(e.cache_creation_tokens) AS cache_creation_tokens,
+      SUM(e.cache_read_tokens)     AS cache_read_tokens,
+      SUM(e.cost_usd) AS cost_usd,
+      MIN(e.occurred_at) AS started_at,
+      MAX(e.occurred_at) AS ended_at,
+      GROUP_CONCAT(DISTINCT e.model) AS models
+    FROM (SELECT * FROM usage_events ${where}) e
+    LEFT JOIN subagent_runs r ON r.agent_id = e.agent_id
+    GROUP BY e.agent_id
+    ORDER BY started_at
+  `).all(...params);
+
+  const own    = nodes.find(n => n.agent_id == null) || null;
+  const agents = nodes.filter(n => n.agent_id != null);
+  const total  = nodes.reduce((s, n) => s + n.cost_usd, 0);
+  return { session_id: sessionId, cost_usd: total, own, agents };
+}
 
-  if (from)       { conditions.push("occurred_at >= ?"); params.push(from); }
-  if (to)         { conditions.push("occurred_at <= ?"); params.push(to + 'T23:59:59'); }
-  if (model)      { conditions.push("model = ?");        params.push(model); }
-  if (provider)   { conditions.push("provider = ?");     params.push(provider); }
-  if (session_id) { conditions.push("session_id = ?");   params.push(session_id); }
+/**
+ * Every request in one session in order, with running cost and context size
+ * (everything the model read: input + cache writes + cache reads).
+ * Returns null for an unknown session.
+ */
+function getSessionDetail(db, sessionId) {
+  const rows = db.prepare(`
+    SELECT id, occurred_at, model, source, agent_id, request_id, project_path, prompt_text,
+           input_tokens, output_tokens, cache_creation_tokens, cache_read_tokens, cost_usd
+    FROM usage_events
+    WHERE session_id = ?
+    ORDER BY occurred_at, id
+  `).all(sessionId);
+  if (!rows.length) return null;
+
+  let cumulative = 0;
+  let peak = null;
+  const turns = rows.map((r, i) => {
+    cumulative += r.cost_usd;
+    const context = r.input_tokens + r.cache_creation_tokens + r.cache_read_tokens;
+    if (!r.agent_id && (!peak || context > peak.context_tokens)) peak = { turn: i + 1, context_tokens: context };
+    const { project_path, ...turn } = r;
+    return { turn: i + 1, ...turn, context_tokens: context, cumulative_cost_usd: cumulative };
+  });
 
-  const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+  return {
+    session_id:   sessionId,
+    project_path: rows.find(r => r.project_path)?.project_path || null,
+    started_at:   rows[0].occurred_at,
+    ended_at:     rows[rows.length - 1].occurred_at,
+    requests:     rows.length,
+    cost_usd:     cumulative,
+    models:       [...new Set(rows.map(r => r.model))],
+    peak_context: peak,
+    turns,
+  };
+}
+
+/**
+ * Rank tools by the input they cause later: a tool result stays in context, so
+ * every later request of the same conversation (session + subagent) reads it
+ * again. caused_cost_usd is each later request's cost × the result's share of
+ * that request's context. Both are upper bounds — /compact drops old results.
+ *
+ * @returns {{ tools: object[], targets: object[] }} targets = top files / commands
+ */
+function getTools(db, { from, to, project, user, tz, limit = 15 } = {}) {
+  const { sql: where, params } = buildToolWhere({ from, to, project, user, tz });
+
+  const attributed = `
+    WITH calls AS (SELECT * FROM tool_calls ${where}),
+    caused AS (
+      SELECT
+        t.tool_use_id,
+        COUNT(e.id) AS later_requests,
+        TOTAL(e.cost_usd * MIN(1.0, t.result_tokens * 1.0 /
+          MAX(e.input_tokens + e.cache_creation_tokens + e.cache_read_tokens, 1))) AS caused_cost_usd
+      FROM calls t
+      JOIN usage_events e
+        ON e.session_id = t.session_id AND e.agent_id IS t.agent_id AND e.occurred_at > t.result_at
+      WHERE t.result_tokens > 0
+      GROUP BY t.tool_use_id
+    )`;
+  const columns = `
+      COUNT(*)                                                AS calls,
+      TOTAL(c.is_error)                                       AS errors,
+      TOTAL(c.result_tokens)                                  AS result_tokens,
+      TOTAL(c.result_tokens * COALESCE(x.later_requests, 0))  AS caused_input_tokens,
+      TOTAL(x.caused_cost_usd)                                AS caused_cost_usd`;
+
+  const tools = db.prepare(`${attributed}
+    SELECT c.tool_name, ${columns}
+    FROM calls c LEFT JOIN caused x ON x.tool_use_id = c.tool_use_id
+    GROUP BY c.tool_name
+    ORDER BY caused_input_tokens DESC, calls DESC
+  `).all(...params);
+
+  const targets = db.prepare(`${attributed}
+    SELECT c.tool_name, c.target, ${columns}
+    FROM calls c LEFT JOIN caused x ON x.tool_use_id = c.tool_use_id
+    WHERE c.target IS NOT NULL
+    GROUP BY c.tool_name, c.target
+    ORDER BY caused_input_tokens DESC, calls DESC
+    LIMIT ?
+  `).all(...params, limit);
+
+  return { tools, targets };
+}
+
+// Everything needed to reprice an event, streamed — filtered sets can be the whole table
+function iteratePricingRows(db, filters = {}) {
+  const { sql: where, params } = buildEventWhere(filters);
+  return db.prepare(`
+    SELECT model, source, agent_id, project_path, occurred_at,
+           input_tokens, output_tokens, cache_creation_tokens, cache_read_tokens,
+           cache_creation_1h_tokens, service_tier, cost_usd
+    FROM usage_events ${where}
+  `).iterate(...params);
+}
+
+// Lean per-event rows for anomaly detection, grouped by session in time order
+function getAnalysisEvents(db, from, to, tz, user) {
+  const { sql: where, params } = buildEventWhere({ from, to, tz, user });
+  return db.prepare(`
+    SELECT id, occurred_at, session_id, agent_id, project_path, model, cost_usd, prompt_text
+    FROM usage_events ${where}
+    ORDER BY session_id, occurred_at, id
+  `).all(...params);
+}
+
+function getEvents(db, { page = 1, limit = 50, sort, ...filters } = {}) {
+  const { sql: where, params } = buildEventWhere(filters);
   const offset = (page - 1) * limit;
+  // Sort: by cost desc or newest first (default)
+  const order = sort === 'cost' ? 'cost_usd DESC' : 'occurred_at DESC';
 
   const total = db.prepare(`SELECT COUNT(*) AS n FROM usage_events ${where}`).get(...params).n;
   const rows  = db.prepare(`
     SELECT * FROM usage_events ${where}
-    ORDER BY occurred_at DESC
+    ORDER BY ${order}
     LIMIT ? OFFSET ?
   `).all(...params, limit, offset);
 
   return { rows, total, page, limit, pages: Math.ceil(total / limit) };
 }
 
-function getModels(db) {
-  return db.prepare('SELECT DISTINCT model FROM usage_events ORDER BY model').all().map(r => r.model);
+/**
+ * Spend per project. by = 'path' (as logged), 'repo' (paths rolled up to
+ * their git repository) or 'branch' (repository × branch). Rows keep
+ * project_path as the label: the repository root, or the path itself when
+ * it is not in a repository.
+ */
+function getProjects(db, from, to, user, tz, by = 'path') {
+  let where = buildWhere(from, to, user, tz);
+  const repo = "COALESCE(repo_root, project_path, 'Unknown')";
+  if (by === 'repo' || by === 'branch') {
+    const branch = by === 'branch' ? 'git_branch' : 'NULL';
+    return db.prepare(`
+      SELECT
+        ${repo} AS project_path,
+        MAX(repo_root) AS repo_root,
+        ${branch} AS git_branch,
+        COUNT(*) AS requests,
+        SUM(cost_usd)              AS cost_usd,
+        SUM(input_tokens)          AS input_tokens,
+        SUM(output_tokens)         AS output_tokens,
+        SUM(cache_read_tokens)     AS cache_read_tokens,
+        SUM(cache_creation_tokens) AS cache_creation_tokens,
+        COUNT(DISTINCT session_id) AS sessions,
+        COUNT(DISTINCT project_path) AS paths,
+        COUNT(DISTINCT git_branch) AS branches,
+        COUNT(DISTINCT COALESCE(user_name, '${LOCAL_USER}')) AS users
+      FROM usage_events ${where.sql}
+      GROUP BY ${repo}, ${branch}
+      ORDER BY cost_usd DESC
+    `).all(...where.params);
+  }
+  return db.prepare(`
+    SELECT
+      COALESCE(project_path, 'Unknown') AS project_path,
+      MAX(repo_root) AS repo_root,
+      COUNT(*) AS requests,
+      SUM(cost_usd)              AS cost_usd,
+      SUM(input_tokens)          AS input_tokens,
+      SUM(output_tokens)         AS output_tokens,
+      SUM(cache_read_tokens)     AS cache_read_tokens,
+      SUM(cache_creation_tokens) AS cache_creation_tokens,
+      COUNT(DISTINCT session_id) AS sessions,
+      COUNT(DISTINCT COALESCE(user_name, '${LOCAL_USER}')) AS users
+    FROM usage_events ${where.sql}
+    GROUP BY COALESCE(project_path, 'Unknown')
+    ORDER BY cost_usd DESC
+  `).all(...where.params);
+}
+
+// A repository's requests after an instant, in time order, for commit attribution.
+// With a branch, requests logged on other branches are left out.
+function getRepoEvents(db, { repo_root, after, branch }) {
+  return db.prepare(`
+    SELECT occurred_at, session_id, cost_usd FROM usage_events
+    WHERE repo_root = ? AND occurred_at > ?
+      AND (? IS NULL OR git_branch IS NULL OR git_branch = ?)
+    ORDER BY occurred_at
+  `).iterate(repo_root, after, branch || null, branch || null);
+}
+
+// Spend per person — events imported on this machine rather than pushed count as LOCAL_USER
+function getUsers(db, from, to, tz) {
+  let where = buildWhere(from, to, null, tz);
+  return db.prepare(`
+    SELECT
+      COALESCE(user_name, '${LOCAL_USER}') AS user,
+      GROUP_CONCAT(DISTINCT host_name)     AS hosts,
+      COUNT(*) AS requests,
+      SUM(cost_usd)              AS cost_usd,
+      SUM(input_tokens)          AS input_tokens,
+      SUM(output_tokens)         AS output_tokens,
+      SUM(cache_read_tokens)     AS cache_read_tokens,
+      SUM(cache_creation_tokens) AS cache_creation_tokens,
+      COUNT(DISTINCT session_id) AS sessions,
+      COUNT(DISTINCT project_path) AS projects,
+      MAX(occurred_at)           AS last_seen_at
+    FROM usage_events ${where.sql}
+    GROUP BY COALESCE(user_name, '${LOCAL_USER}')
+    ORDER BY cost_usd DESC
+  `).all(...where.params);
 }
 
-function deleteEvents(db, from, to) {
+// Daily spend for one slice of usage, in days of tz — budgets and forecasts run on this
+function getDailyCost(db, from, to, { project_path, model_like, tz } = {}) {
   const conditions = [];
   const params = [];
-  if (from) { conditions.push("occurred_at >= ?"); params.push(from); }
-  if (to)   { conditions.push("occurred_at <= ?"); params.push(to + 'T23:59:59'); }
+
+  dateConditions('occurred_at', from, to, tz, conditions, params);
+  if (project_path) { conditions.push("project_path = ?");                    params.push(project_path); }
+  // Plain substring, any case — LIKE would read % and _ in the name as wildcards
+  if (model_like)   { conditions.push("instr(lower(model), lower(?)) > 0");   params.push(model_like); }
+
   const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
-  return db.prepare(`DELETE FROM usage_events ${where}`).run(...params);
+  return db.prepare(`
+    SELECT local_bucket(occurred_at, ?, 'day') AS date, SUM(cost_usd) AS cost_usd
+    FROM usage_events ${where}
+    GROUP BY date
+    ORDER BY date ASC
+  `).all(tz || null, ...params);
+}
+
+/**
+ * Totals, spend per model and a cost / requests series for one filter set
+ * (as for /api/events); `date` in the series is the bucket, cut in filters.tz.
+ */
+function getUsageSummary(db, filters = {}, granularity = 'day') {
+  const { sql: where, params } = buildEventWhere(filters);
+  const totals = db.prepare(`
+    SELECT
+      COUNT(*)                                AS requests,
+      COALESCE(SUM(input_tokens), 0)          AS input_tokens,
+      COALESCE(SUM(output_tokens), 0)         AS output_tokens,
+      COALESCE(SUM(cache_creation_tokens), 0) AS cache_creation_tokens,
+      COALESCE(SUM(cache_read_tokens), 0)     AS cache_read_tokens,
+      TOTAL(cost_usd)                         AS cost_usd
+    FROM usage_events ${where}
+  `).get(...params);
+
+  const modelWhere = where
+    ? where + " AND model IS NOT NULL AND model != '<synthetic>'"
+    : "WHERE model IS NOT NULL AND model != '<synthetic>'";
+  const byModel = db.prepare(`
+    SELECT model, COUNT(*) AS requests, TOTAL(cost_usd) AS cost_usd
+    FROM usage_events ${modelWhere}
+    GROUP BY model
+    ORDER BY cost_usd DESC
+  `).all(...params);
+
+  const series = db.prepare(`
+    SELECT local_bucket(occurred_at, ?, ?) AS date, COUNT(*) AS requests, TOTAL(cost_usd) AS cost_usd
+    FROM usage_events ${where}
+    GROUP BY date
+    ORDER BY date ASC
+  `).all(filters.tz || null, granularity, ...params);
+
+  return { totals, byModel, series };
+}
+
+// Lifetime totals per model × provider × project × source — seeds the /metrics counters
+function getMetricTotals(db) {
+  return db.prepare(`
+    SELECT model, provider, project_path, source,
+      COUNT(*)                   AS requests,
+      SUM(cost_usd)              AS cost_usd,
+      SUM(input_tokens)          AS input_tokens,
+      SUM(output_tokens)         AS output_tokens,
+      SUM(cache_read_tokens)     AS cache_read_tokens,
+      SUM(cache_creation_tokens) AS cache_creation_tokens
+    FROM usage_events
+    GROUP BY model, provider, project_path, source
+  `).all();
+}
+
+function getModels(db) {
+  return db.prepare('SELECT DISTINCT model FROM usage_events ORDER BY model').all().map(r => r.model);
+}
+
+// Recompute cost_usd for every event with priceFn(row); walks the table by id in batches
+function repriceEvents(db, priceFn) {
+  const select = db.prepare(`
+    SELECT id, model, occurred_at, input_tokens, output_tokens, cache_creation_tokens, cache_read_tokens,
+           cache_creation_1h_tokens, service_tier
+    FROM usage_events WHERE id > ? ORDER BY id LIMIT 5000
+  `);
+  const update = db.prepare('UPDATE usage_events SET cost_usd = ? WHERE id = ?');
+  const updateBatch = db.transaction(rows => {
+    for (const r of rows) update.run(priceFn(r), r.id);
+  });
+
+  let lastId = 0, n = 0;
+  for (;;) {
+    const rows = select.all(lastId);
+    if (!rows.length) break;
+    updateBatch(rows);
+    n += rows.length;
+    lastId = rows[rows.length - 1].id;
+  }
+  return n;
+}
+
+/**
+ * Rewrite every stored piece of user text with fn(text) → text | null:
+ * prompt_text, tool-call targets, and the prompt carried in import_state for
+ * the next import. Walks each table by rowid in batches like repriceEvents.
+ *
+ * @returns {number} rows changed
+ */
+function redactStoredText(db, fn) {
+  const tables = [
+    { table: 'usage_events', column: 'prompt_text' },
+    { table: 'tool_calls',   column: 'target' },
+    { table: 'import_state', column: 'prompt_text' },
+    { table: 'import_state', column: 'parser_state', json: 'promptText' },
+  ];
+  let n = 0;
+  for (const { table, column, json } of tables) {
+    const select = db.prepare(`
+      SELECT rowid AS id, ${column} AS value FROM ${table}
+      WHERE rowid > ? AND ${column} IS NOT NULL ORDER BY rowid LIMIT 5000
+    `);
+    const update = db.prepare(`UPDATE ${table} SET ${column} = ? WHERE rowid = ?`);
+    const updateBatch = db.transaction(rows => {
+      for (const r of rows) {
+        let next;
+        if (json) {
+          const state = JSON.parse(r.value);
+          if (state[json] == null) continue;
+          next = JSON.stringify({ ...state, [json]: fn(state[json]) });
+        } else {
+          next = fn(r.value);
+        }
+        if (next === r.value) continue;
+        update.run(next, r.id);
+        n++;
+      }
+    });
+
+    let lastId = 0;
+    for (;;) {
+      const rows = select.all(lastId);
+      if (!rows.length) break;
+      updateBatch(rows);
+      lastId = rows[rows.length - 1].id;
+    }
+  }
+  return n;
+}
+
+/**
+ * What deleteEvents would remove, without removing it.
+ *
+ * @param {object} filters  from, to, project, session_id, before (ISO, exclusive)
+ */
+function countEvents(db, filters = {}) {
+  const { sql: where, params } = buildEventWhere(filters);
+  const events = db.prepare(`
+    SELECT COUNT(*) AS events, COUNT(DISTINCT session_id) AS sessions,
+           COALESCE(SUM(cost_usd), 0) AS cost_usd,
+           MIN(occurred_at) AS first_at, MAX(occurred_at) AS last_at
+    FROM usage_events ${where}
+  `).get(...params);
+  const tools = buildToolWhere(filters);
+  const { n } = db.prepare(`SELECT COUNT(*) AS n FROM tool_calls ${tools.sql}`).get(...tools.params);
+  return { ...events, tool_calls: n };
+}
+
+/**
+ * Delete matching events and the tool calls made in the same range, project
+ * or session; subagent runs go once their session has no events left.
+ *
+ * @param {object} filters  as for countEvents
+ * @returns {{ events: number, tool_calls: number, subagent_runs: number }}
+ */
+function deleteEvents(db, filters = {}) {
+  const { sql: where, params } = buildEventWhere(filters);
+  const tools = buildToolWhere(filters);
+  return db.transaction(() => {
+    const sessions = db.prepare(`SELECT DISTINCT session_id FROM usage_events ${where}`).all(...params)
+      .map(r => r.session_id).filter(id => id != null);
+    const events     = db.prepare(`DELETE FROM usage_events ${where}`).run(...params).changes;
+    const tool_calls = db.prepare(`DELETE FROM tool_calls ${tools.sql}`).run(...tools.params).changes;
+    // Runs of purged sessions that have no events left — nobody else's
+    const orphan = db.prepare(`
+      DELETE FROM subagent_runs
+      WHERE session_id = ? AND NOT EXISTS (SELECT 1 FROM usage_events e WHERE e.session_id = ?)
+    `);
+    const subagent_runs = sessions.reduce((n, id) => n + orphan.run(id, id).changes, 0);
+    return { events, tool_calls, subagent_runs };
+  })();
 }
 
 function deleteAll(db) {
   db.prepare('DELETE FROM usage_events').run();
   db.prepare('DELETE FROM import_state').run();
+  db.prepare('DELETE FROM subagent_runs').run();
+  db.prepare('DELETE FROM tool_calls').run();
 }
 
-function applyRetention(db) {
+// Start of the retention window for the retention_days setting; null when unset
+function retentionCutoff(db, now = new Date()) {
   const days = getSetting(db, 'retention_days');
-  if (!days) return;
-  db.prepare(`
-    DELETE FROM usage_events
-    WHERE occurred_at < datetime('now', ? || ' days')
-  `).run(-days);
+  return days ? new Date(now.getTime() - days * 86400000).toISOString() : null;
+}
+
+// Delete everything older than retention_days; null when no retention is set
+function applyRetention(db, now = new Date()) {
+  const before = retentionCutoff(db, now);
+  return before ? deleteEvents(db, { before }) : null;
 }
 
-function exportData(db, from, to) {
-  let where = buildWhere(from, to);
-  return db.prepare(`SELECT * FROM usage_events ${where.sql} ORDER BY occurred_at DESC`).all(...where.params);
+// Column order for exports — keep stable, spreadsheets downstream depend on it
+const EXPORT_COLUMNS = [
+  'occurred_at', 'provider', 'model', 'source', 'project_path', 'session_id', 'request_id',
+  'input_tokens', 'output_tokens', 'cache_creation_tokens', 'cache_read_tokens',
+  'cost_usd', 'prompt_text',
+  // added later — appended so existing column positions don't move
+  'cache_creation_1h_tokens', 'service_tier', 'agent_id', 'user_name', 'host_name',
+  'git_branch', 'repo_root',
+];
+
+// Pass limit/offset to read large exports in batches
+function exportData(db, filters = {}, { limit = -1, offset = 0 } = {}) {
+  const { sql: where, params } = buildEventWhere(filters);
+  return db.prepare(`
+    SELECT ${EXPORT_COLUMNS.join(', ')} FROM usage_events ${where}
+    ORDER BY occurred_at DESC, id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
 }
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
-function buildWhere(from, to) {
+function buildWhere(from, to, user, tz) {
   const conditions = [];
   const params = [];
-  if (from) { conditions.push("occurred_at >= ?"); params.push(from); }
-  if (to)   { conditions.push("occurred_at <= ?"); params.push(to + 'T23:59:59'); }
+  dateConditions('occurred_at', from, to, tz, conditions, params);
+  if (user) userCondition(user, conditions, params);
   return {
     sql: conditions.length ? 'WHERE ' + conditions.join(' AND ') : '',
     params
   };
 }
 
+// Row filters shared by the event explorer and exports
+function buildEventWhere({ model, provider, source, from, to, tz, before, session_id, project, user } = {}) {
+  const conditions = [];
+  const params = [];
+  dateConditions('occurred_at', from, to, tz, conditions, params);
+  if (before)     { conditions.push("occurred_at < ?");  params.push(before); }
+  if (model)      { conditions.push("model = ?");        params.push(model); }
+  if (provider)   { conditions.push("provider = ?");     params.push(provider); }
+  if (source)     { conditions.push("source = ?");       params.push(source); }
+  if (session_id) { conditions.push("session_id = ?");   params.push(session_id); }
+  // 'Unknown' is how getProjects labels events without a project
+  if (project === 'Unknown')  conditions.push("project_path IS NULL");
+  else if (project)         { conditions.push("project_path = ?"); params.push(project); }
+  if (user) userCondition(user, conditions, params);
+  return {
+    sql: conditions.length ? 'WHERE ' + conditions.join(' AND ') : '',
+    params
+  };
+}
+
+// The same range / project / session / user, matched against tool_calls
+function buildToolWhere({ from, to, tz, before, session_id, project, user } = {}) {
+  const conditions = [];
+  const params = [];
+  dateConditions('called_at', from, to, tz, conditions, params);
+  if (before)     { conditions.push("called_at < ?");    params.push(before); }
+  if (session_id) { conditions.push("session_id = ?");   params.push(session_id); }
+  if (project === 'Unknown')  conditions.push("project_path IS NULL");
+  else if (project)         { conditions.push("project_path = ?"); params.push(project); }
+  // tool_calls has no user_name; take it from the request that made the call
+  if (user) {
+    const byUser = [];
+    userCondition(user, byUser, params);
+    conditions.push(`request_id IN (SELECT request_id FROM usage_events WHERE ${byUser[0]})`);
+  }
+  return {
+    sql: conditions.length ? 'WHERE ' + conditions.join(' AND ') : '',
+    params
+  };
+}
+
+// Inclusive YYYY-MM-DD bounds, as days in tz (UTC days without one)
+function dateConditions(column, from, to, tz, conditions, params) {
+  const { start, end } = dateBounds(from, to, tz);
+  if (start) { conditions.push(`${column} >= ?`); params.push(start); }
+  if (end)   { conditions.push(`${column} < ?`);  params.push(end); }
+}
+
+// LOCAL_USER is how getUsers labels events that were never pushed
+function userCondition(user, conditions, params) {
+  if (user === LOCAL_USER) conditions.push("user_name IS NULL");
+  else                   { conditions.push("user_name = ?"); params.push(user); }
+}
+
 module.exports = {
   getDb,
   getSetting, setSetting, getAllSettings,
   getImportState, upsertImportState, clearImportState,
-  insertEvent,
-  getOverview, getTimeseries, getTopSessions, getEvents, getModels,
-  deleteEvents, deleteAll, applyRetention,
-  exportData
+  insertEvent, fillGitInfo, resolveRepoRoots, upsertSubagentRun, upsertToolCall,
+  getOverview, getTimeseries, getHeatmap, getTopSessions, getSessionTree, getSessionDetail, getTools, getAnalysisEvents, iteratePricingRows, getEvents, getProjects, getRepoEvents, getUsers, getDailyCost, getUsageSummary, getMetricTotals, getModels,
+  repriceEvents, redactStoredText, countEvents, deleteEvents, deleteAll, retentionCutoff, applyRetention,
+  exportData, EXPORT_COLUMNS, LOCAL_USER
 };
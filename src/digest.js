@@ -0,0 +1,343 @@
+'use strict';
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const store = require('./db');
+const { getSetting, setSetting } = store;
+const { normalizeTz, today, shiftDate, localTime } = require('./timezone');
+const { sendMail, parseSmtpUrl } = require('./smtp');
+const { openStore } = require('./report');
+
+/**
+ * Daily and weekly spend digests, sent while the server runs or with
+ * `llm-spend digest`. Each one covers a whole finished period in the digest's
+ * time zone and compares it with the period before:
+ *
+ *   daily   yesterday, against the day before
+ *   weekly  last Monday–Sunday, against the week before
+ *
+ * Sinks are given like sources, as <kind>:<target>:
+ *
+ *   webhook:<url>        POST the digest as JSON
+ *   slack:<url>          POST a Slack incoming-webhook message
+ *   email:<a@x,b@y>      send Markdown as plain text over --smtp
+ *   markdown:<dir>       write llm-spend-<period>-<date>.md into dir
+ *
+ * Digests name projects, sessions and models but never include prompt text.
+ */
+const PERIODS    = ['daily', 'weekly'];
+const SINK_KINDS = ['webhook', 'slack', 'email', 'markdown'];
+const TOP_N      = 5;
+const CHECK_MS   = 300000; // how often the scheduler looks for a digest that is due
+const TIMEOUT_MS = 15000;
+const DEFAULT_AT = '08:00';
+
+// ── Options ───────────────────────────────────────────────────────────────────
+
+/**
+ * Validate --digest-* options; returns null when no sink is configured.
+ *
+ * @param {{ to?: string[], period?: string, at?: string, tz?: string|null, smtp?: string, from?: string }} [input]
+ *   period is daily | weekly | both; at is the HH:MM in tz digests go out at
+ */
+function normalizeDigest(input = {}) {
+  const { to = [], period = 'daily', at = DEFAULT_AT, tz = null, smtp, from } = input || {};
+  const sinks = to.map(normalizeSink);
+  if (!sinks.length) return null;
+
+  const periods = period === 'both' ? PERIODS : [period];
+  if (!periods.every(p => PERIODS.includes(p))) throw new Error('--digest must be daily, weekly or both');
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(at))    throw new Error(`--digest-at must be HH:MM, got "${at}"`);
+  if (sinks.some(s => s.kind === 'email')) {
+    if (!smtp) throw new Error('email digests need --smtp or the LLM_SPEND_SMTP_URL environment variable');
+    parseSmtpUrl(smtp);
+  }
+  return { sinks, periods, at, tz: normalizeTz(tz), smtp: smtp || null, from: from || `llm-spend@${os.hostname()}` };
+}
+
+function normalizeSink(spec) {
+  const i      = String(spec).indexOf(':');
+  const kind   = i === -1 ? '' : spec.slice(0, i);
+  const target = i === -1 ? '' : spec.slice(i + 1).trim();
+  if (!SINK_KINDS.includes(kind)) throw new Error(`--digest-to must start with ${SINK_KINDS.map(k => k + ':').join(', ')} — got "${spec}"`);
+  if (!target)                    throw new Error(`--digest-to ${kind}: needs a target`);
+
+  if (kind === 'webhook' || kind === 'slack') {
+    if (!/^https?:\/\/./.test(target)) throw new Error(`--digest-to ${kind}: needs an http(s) URL`);
+    return { kind, url: target };
+  }
+  if (kind === 'email') {
+    const to = target.split(',').map(s => s.trim()).filter(Boolean);
+    const bad = to.find(a => !/^[^\s@<>]+@[^\s@<>]+$/.test(a));
+    if (bad) throw new Error(`--digest-to email: "${bad}" is not an email address`);
+    return { kind, to };
+  }
+  return { kind, dir: path.resolve(target.replace(/^~(?=$|[\\/])/, os.homedir())) };
+}
+
+// ── Building ──────────────────────────────────────────────────────────────────
+
+/**
+ * The finished period a digest sent at `now` covers, and the one before it.
+ *
+ * @returns {{ from: string, to: string, prev_from: string, prev_to: string }}
+ */
+function digestWindow(period, tz, now = new Date()) {
+  const date = today(tz, now);
+  let to, days;
+  if (period === 'weekly') {
+    const weekday = (new Date(date + 'T00:00:00Z').getUTCDay() + 6) % 7; // Monday = 0
+    to   = shiftDate(date, -weekday - 1);
+    days = 7;
+  } else {
+    to   = shiftDate(date, -1);
+    days = 1;
+  }
+  const from = shiftDate(to, -(days - 1));
+  return { from, to, prev_from: shiftDate(from, -days), prev_to: shiftDate(from, -1) };
+}
+
+/**
+ * Everything a digest says, from the same queries as the dashboard's routes.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ period?: 'daily'|'weekly', tz?: string|null, now?: Date, limit?: number }} [options]
+ */
+function buildDigest(db, { period = 'daily', tz = null, now = new Date(), limit = TOP_N } = {}) {
+  if (!PERIODS.includes(period)) throw new Error(`period must be one of ${PERIODS.join(', ')}`);
+  const win  = digestWindow(period, tz, now);
+  const cur  = store.getOverview(db, win.from, win.to, null, tz).totals;
+  const prev = store.getOverview(db, win.prev_from, win.prev_to, null, tz).totals;
+
+  const requests = store.getEvents(db, { from: win.from, to: win.to, tz, sort: 'cost', limit }).rows;
+  return {
+    period,
+    tz:     tz || 'UTC',
+    from:   win.from,
+    to:     win.to,
+    totals: { cost_usd: cur.cost_usd, requests: cur.total_requests },
+    previous: {
+      from: win.prev_from, to: win.prev_to,
+      cost_usd: prev.cost_usd, requests: prev.total_requests,
+    },
+    change_pct:   prev.cost_usd > 0 ? (cur.cost_usd - prev.cost_usd) / prev.cost_usd * 100 : null,
+    top_projects: store.getProjects(db, win.from, win.to, null, tz).slice(0, limit)
+      .map(p => ({ project: p.project_path, cost_usd: p.cost_usd, requests: p.requests })),
+    top_sessions: store.getTopSessions(db, win.from, win.to, limit, null, tz)
+      .map(s => ({ session_id: s.session_id, project: s.project_path, cost_usd: s.cost_usd, requests: s.requests, started_at: s.started_at })),
+    top_requests: requests.map(r => ({
+      request_id: r.request_id, occurred_at: r.occurred_at, model: r.model, project: r.project_path,
+      session_id: r.session_id, cost_usd: r.cost_usd,
+    })),
+  };
+}
+
+// ── Rendering ─────────────────────────────────────────────────────────────────
+
+const usd = v => '$' + (v || 0).toFixed(2);
+
+function title(d) {
+  const range = d.from === d.to ? d.from : `${d.from} – ${d.to}`;
+  return `llm-spend ${d.period} digest: ${usd(d.totals.cost_usd)} (${range})`;
+}
+
+function trend(d) {
+  const prev = `${usd(d.previous.cost_usd)} the ${d.period === 'weekly' ? 'week' : 'day'} before`;
+  if (d.change_pct == null) return `no spend the ${d.period === 'weekly' ? 'week' : 'day'} before`;
+  if (Math.abs(d.change_pct) < 0.5) return `flat against ${prev}`;
+  return `${d.change_pct > 0 ? '▲' : '▼'} ${Math.abs(d.change_pct).toFixed(0)}% against ${prev}`;
+}
+
+// Markdown — also the email body and `llm-spend digest --dry-run` output
+function renderMarkdown(d) {
+  const when  = at => localTime(at, d.tz).slice(0, 16).replace('T', ' ');
+  const cell  = v => String(v == null ? '—' : v).replace(/\|/g, '\\|');
+  const table = (header, rows) => (rows.length ? [
+    `| ${header.join(' | ')} |`,
+    `|${header.map((h, i) => (i === header.length - 1 ? '---:' : '---')).join('|')}|`,
+    ...rows.map(r => `| ${r.map(cell).join(' | ')} |`),
+  ] : ['No usage.']);
+
+  return [
+    `# ${title(d)}`,
+    '',
+    `**${usd(d.totals.cost_usd)}** over ${d.totals.requests.toLocaleString('en-US')} requests — ${trend(d)}. Days are in ${d.tz}.`,
+    '',
+    '## Top projects',
+    '',
+    ...table(['Project', 'Requests', 'Cost'], d.top_projects.map(p => [p.project || 'Unknown', p.requests, usd(p.cost_usd)])),
+    '',
+    '## Top sessions',
+    '',
+    ...table(['Session', 'Project', 'Started', 'Requests', 'Cost'],
+      d.top_sessions.map(s => [s.session_id, s.project, when(s.started_at), s.requests, usd(s.cost_usd)])),
+    '',
+    '## Most expensive requests',
+    '',
+    ...table(['Time', 'Model', 'Project', 'Session', 'Cost'],
+      d.top_requests.map(r => [when(r.occurred_at), r.model, r.project, r.session_id, '$' + (r.cost_usd || 0).toFixed(4)])),
+    '',
+  ].join('\n');
+}
+
+// Slack incoming-webhook message; mrkdwn sections instead of tables
+function slackPayload(d) {
+  const list = (rows, line) => rows.map((r, i) => `${i + 1}. ${line(r)}`).join('\n') || '_No usage._';
+  const section = text => ({ type: 'section', text: { type: 'mrkdwn', text } });
+  return {
+    text: `${title(d)} — ${trend(d)}`,
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: title(d) } },
+      section(`*${usd(d.totals.cost_usd)}* over ${d.totals.requests.toLocaleString('en-US')} requests — ${trend(d)}`),
+      section('*Top projects*\n' + list(d.top_projects, p => `\`${p.project || 'Unknown'}\` — ${usd(p.cost_usd)}`)),
+      section('*Top sessions*\n' + list(d.top_sessions, s => `\`${s.session_id}\` (${s.project || 'Unknown'}) — ${usd(s.cost_usd)}`)),
+      section('*Most expensive requests*\n' + list(d.top_requests, r => `${r.model} in \`${r.project || 'Unknown'}\` — $${(r.cost_usd || 0).toFixed(4)}`)),
+    ],
+  };
+}
+
+// ── Sending ───────────────────────────────────────────────────────────────────
+
+const SENDERS = {
+  webhook:  (sink, d) => postJSON(sink.url, { type: 'llm-spend.digest', ...d }),
+  slack:    (sink, d) => postJSON(sink.url, slackPayload(d)),
+  email:    (sink, d, config) => sendMail(config.smtp, { from: config.from, to: sink.to, subject: title(d), text: renderMarkdown(d) }),
+  markdown: (sink, d) => {
+    fs.mkdirSync(sink.dir, { recursive: true });
+    fs.writeFileSync(path.join(sink.dir, `llm-spend-${d.period}-${d.to}.md`), renderMarkdown(d));
+  },
+};
+
+async function postJSON(url, payload) {
+  const res = await fetch(url, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body:    JSON.stringify(payload),
+    signal:  AbortSignal.timeout(TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+}
+
+function describeSink(sink) {
+  if (sink.kind === 'email')    return `email:${sink.to.join(',')}`;
+  if (sink.kind === 'markdown') return `markdown:${sink.dir}`;
+  return `${sink.kind}:${new URL(sink.url).host}`; // webhook paths are secrets
+}
+
+/**
+ * Send one digest to every sink; a failing sink doesn't stop the others.
+ *
+ * @returns {Promise<{ sink: string, ok: boolean, error?: string }[]>}
+ */
+async function sendDigest(digest, config) {
+  const results = [];
+  for (const sink of config.sinks) {
+    try {
+      await SENDERS[sink.kind](sink, digest, config);
+      results.push({ sink: describeSink(sink), ok: true });
+    } catch (err) {
+      results.push({ sink: describeSink(sink), ok: false, error: err.message });
+    }
+  }
+  return results;
+}
+
+// ── Scheduling ────────────────────────────────────────────────────────────────
+
+/**
+ * Digests due at `now`: the period's newest finished window hasn't been sent
+ * yet, and it is past `at` on the first day after it. A digest missed while
+ * the server was down goes out when it next starts.
+ */
+function dueDigests(db, config, now = new Date()) {
+  const sent  = getSetting(db, 'digest_sent') || {};
+  const date  = today(config.tz, now);
+  const clock = localTime(now.toISOString(), config.tz).slice(11, 16);
+  return config.periods.filter(period => {
+    const win = digestWindow(period, config.tz, now);
+    if (sent[period] === win.to) return false;
+    return shiftDate(win.to, 1) < date || clock >= config.at;
+  });
+}
+
+/**
+ * Send each digest that is due, then mark it sent unless every sink failed.
+ *
+ * @returns {Promise<{ period: string, results: object[] }[]>}
+ */
+async function runDueDigests(db, config, now = new Date()) {
+  const done = [];
+  for (const period of dueDigests(db, config, now)) {
+    const digest  = buildDigest(db, { period, tz: config.tz, now });
+    const results = await sendDigest(digest, config);
+    if (results.some(r => r.ok)) setSetting(db, 'digest_sent', { ...getSetting(db, 'digest_sent'), [period]: digest.to });
+    done.push({ period, results });
+  }
+  return done;
+}
+
+/**
+ * Check for due digests now and every few minutes while the server runs.
+ *
+ * @returns {() => void} stops the schedule
+ */
+function scheduleDigests(db, config, everyMs = CHECK_MS) {
+  let running = false;
+  const pass = async () => {
+    if (running) return;
+    running = true;
+    try {
+      for (const { period, results } of await runDueDigests(db, config)) {
+        for (const r of results) {
+          if (r.ok) console.log(`[llm-spend] Sent the ${period} digest to ${r.sink}`);
+          else console.error(`[llm-spend] Could not send the ${period} digest to ${r.sink}: ${r.error}`);
+        }
+      }
+    } catch (err) {
+      console.error('[llm-spend] Error sending digests:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+  pass();
+  const timer = setInterval(pass, everyMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+// ── Command ───────────────────────────────────────────────────────────────────
+
+/**
+ * `llm-spend digest`: the digest for the last finished period, sent to every
+ * --digest-to sink, or with dryRun only rendered. Doesn't count as the
+ * scheduler's send for that period.
+ *
+ * @param {object} options  openStore() options, plus:
+ * @param {'daily'|'weekly'} [options.period]
+ * @param {boolean} [options.dryRun]
+ * @param {'markdown'|'json'} [options.format]  dry-run output
+ * @param {string|null} [options.tz]
+ * @param {object} [options.digest]  normalizeDigest() input: to, smtp, from
+ * @returns {Promise<string>}
+ */
+async function runDigest(options = {}) {
+  const period = options.period || 'daily';
+  if (!PERIODS.includes(period)) throw new Error(`--period must be one of ${PERIODS.join(', ')}`);
+  const tz     = normalizeTz(options.tz);
+  const config = normalizeDigest({ ...options.digest, tz });
+  if (!config && !options.dryRun) throw new Error('digest needs --digest-to <sink>, or --dry-run to print it');
+
+  const d = buildDigest(await openStore(options), { period, tz });
+  if (options.dryRun) return options.format === 'json' ? JSON.stringify(d, null, 2) : renderMarkdown(d);
+
+  const results = await sendDigest(d, config);
+  const lines   = results.map(r => (r.ok ? `Sent the ${period} digest to ${r.sink}` : `Could not send to ${r.sink}: ${r.error}`));
+  if (results.some(r => !r.ok)) throw new Error(lines.join('\n'));
+  return lines.join('\n');
+}
+
+module.exports = {
+  PERIODS, normalizeDigest, digestWindow, buildDigest, renderMarkdown, slackPayload,
+  sendDigest, dueDigests, runDueDigests, scheduleDigests, runDigest,
+};
@@ -0,0 +1,137 @@
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { getRepoEvents } = require('./db');
+
+/**
+ * Git-aware attribution. A session's cwd may be any subdirectory or worktree
+ * of a repository; repoRoot() maps it to the main checkout's root so they
+ * roll up together, and attributeCommits() splits a repository's spend
+ * between the commits it led to.
+ */
+const GIT_TIMEOUT_MS = 15000;
+
+const roots = new Map(); // directory → repository root (or null)
+
+// ── Repository roots ──────────────────────────────────────────────────────────
+
+/**
+ * The root of the repository containing dir — for a linked worktree, the
+ * main checkout's root. Null when dir is not in a repository or no longer
+ * exists (e.g. logs pushed from another machine).
+ *
+ * @param {string|null} dir
+ * @returns {string|null}
+ */
+function repoRoot(dir) {
+  if (!dir || !path.isAbsolute(dir)) return null;
+  if (roots.has(dir)) return roots.get(dir);
+
+  let root = null;
+  for (let d = dir; ; d = path.dirname(d)) {
+    const dotGit = path.join(d, '.git');
+    let stat;
+    try { stat = fs.statSync(dotGit); } catch { /* keep walking up */ }
+    if (stat) {
+      root = stat.isDirectory() ? d : linkedRoot(d, dotGit);
+      break;
+    }
+    if (path.dirname(d) === d) break;
+  }
+  roots.set(dir, root);
+  return root;
+}
+
+// A .git file points at the real git dir: worktrees share the main repo's, submodules are their own
+function linkedRoot(dir, dotGit) {
+  try {
+    const m = /^gitdir:\s*(.+)$/m.exec(fs.readFileSync(dotGit, 'utf8'));
+    if (!m) return dir;
+    const gitDir = path.resolve(dir, m[1].trim());
+    const common = path.resolve(gitDir, fs.readFileSync(path.join(gitDir, 'commondir'), 'utf8').trim());
+    return path.basename(common) === '.git' ? path.dirname(common) : dir;
+  } catch {
+    return dir; // no commondir: a submodule or a plain gitdir link
+  }
+}
+
+// Fill ev.repo_root from its project path unless the source already knew it
+function annotateRepo(ev) {
+  if (ev.repo_root === undefined) ev.repo_root = repoRoot(ev.project_path);
+  return ev;
+}
+
+// ── Commits ───────────────────────────────────────────────────────────────────
+
+function git(root, args) {
+  return execFileSync('git', ['-C', root, ...args], {
+    encoding: 'utf8', timeout: GIT_TIMEOUT_MS, stdio: ['ignore', 'pipe', 'pipe'],
+  }).trim();
+}
+
+// Commits on the first-parent line since..HEAD, oldest first, with UTC commit times
+function listCommits(root, since) {
+  const out = git(root, ['log', '--first-parent', '--reverse', '--format=%H%x09%cI%x09%s', `${since}..HEAD`]);
+  return out ? out.split('\n').map(line => {
+    const [sha, at, ...subject] = line.split('\t');
+    return { sha, committed_at: new Date(at).toISOString(), subject: subject.join('\t') };
+  }) : [];
+}
+
+/**
+ * Split a repository's spend between the commits made since `since`: each
+ * request counts towards the first commit after it, and requests after the
+ * last commit are "uncommitted". Only requests made on `branch` count when
+ * the log recorded one.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {object} options
+ * @param {string} options.since          any revision: a branch, tag or sha
+ * @param {string} [options.repo]         a path inside the repository (default: cwd)
+ * @param {string} [options.branch]       default: the checked-out branch
+ * @param {boolean} [options.allBranches] count requests made on every branch
+ * @returns {object[]} one row per commit, then the uncommitted row
+ */
+function attributeCommits(db, { since, repo = process.cwd(), branch, allBranches = false }) {
+  if (!since)                 throw new Error('attribute needs --since <rev>, e.g. main or a tag');
+  if (since.startsWith('-'))  throw new Error(`--since must be a revision, not ${since}`);
+  const root = repoRoot(path.resolve(repo));
+  if (!root) throw new Error(`${path.resolve(repo)} is not inside a git repository`);
+
+  let start, commits;
+  try {
+    start   = new Date(git(root, ['log', '-1', '--format=%cI', since])).toISOString();
+    commits = listCommits(root, since);
+  } catch (err) {
+    throw new Error(`git could not read ${since}..HEAD in ${root}: ${String(err.stderr || err.message).trim().split('\n')[0]}`);
+  }
+  if (!allBranches && !branch) {
+    const head = git(root, ['rev-parse', '--abbrev-ref', 'HEAD']);
+    branch = head === 'HEAD' ? null : head; // detached: no branch to match
+  }
+
+  const rows = new Map(commits.map(c => [c.sha, {
+    commit: c.sha.slice(0, 10), committed_at: c.committed_at, subject: c.subject, ...blank(),
+  }]));
+  const open = { commit: '(uncommitted)', committed_at: null, subject: null, ...blank() };
+  // Rebased history can commit out of order — windows follow commit time
+  const byTime = [...commits].sort((a, b) => (a.committed_at < b.committed_at ? -1 : 1));
+
+  let i = 0;
+  for (const ev of getRepoEvents(db, { repo_root: root, after: start, branch: allBranches ? null : branch })) {
+    while (i < byTime.length && byTime[i].committed_at < ev.occurred_at) i++;
+    const row = i < byTime.length ? rows.get(byTime[i].sha) : open;
+    row.requests++;
+    row.cost_usd += ev.cost_usd;
+    row.sessions.add(ev.session_id);
+  }
+  return [...rows.values(), open].map(r => ({ ...r, sessions: r.sessions.size }));
+}
+
+function blank() {
+  return { requests: 0, sessions: new Set(), cost_usd: 0 };
+}
+
+module.exports = { repoRoot, annotateRepo, listCommits, attributeCommits };
@@ -0,0 +1,135 @@
+'use strict';
+
+const { getMetricTotals, getDailyCost } = require('./db');
+const { periodWindow } = require('./budgets');
+const { today: todayIn } = require('./timezone');
+
+/**
+ * Counters and gauges for GET /metrics, in the Prometheus text format or
+ * OpenMetrics when the scraper asks for it.
+ *
+ * Counters are kept in memory per model × provider × project × source: seeded
+ * from the db on startup, then bumped as each event is stored. Deletes
+ * (purges, retention) reseed them, which Prometheus reads as a counter reset.
+ * The gauges are computed per scrape from this month's daily spend.
+ */
+const PREFIX = 'llm_spend';
+const TOKEN_TYPES = {
+  input:          'input_tokens',
+  output:         'output_tokens',
+  cache_read:     'cache_read_tokens',
+  cache_creation: 'cache_creation_tokens',
+};
+const OPENMETRICS_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+const PROMETHEUS_TYPE  = 'text/plain; version=0.0.4; charset=utf-8';
+
+let series = new Map(); // label key → { labels, requests, cost_usd, ...token counts }
+
+function labelsOf(ev) {
+  return {
+    model:    ev.model || 'unknown',
+    provider: ev.provider || 'unknown',
+    project:  ev.project_path || 'Unknown',
+    source:   ev.source || 'unknown',
+  };
+}
+
+function add(row, requests) {
+  const labels = labelsOf(row);
+  const key    = JSON.stringify(labels);
+  let s = series.get(key);
+  if (!s) {
+    s = { labels, requests: 0, cost_usd: 0 };
+    for (const col of Object.values(TOKEN_TYPES)) s[col] = 0;
+    series.set(key, s);
+  }
+  s.requests += requests;
+  s.cost_usd += row.cost_usd || 0;
+  for (const col of Object.values(TOKEN_TYPES)) s[col] += row[col] || 0;
+}
+
+/** Reset the counters to the totals stored in the db. */
+function loadMetrics(db) {
+  series = new Map();
+  for (const row of getMetricTotals(db)) add(row, row.requests);
+}
+
+/** Count one newly stored event. */
+function recordEvent(ev) {
+  add(ev, 1);
+}
+
+/**
+ * Spend today (days in tz, UTC without one, like budgets) and the month's
+ * projection: spend so far plus the average per active day over the days
+ * left — the same run rate as a monthly budget's forecast.
+ */
+function spendGauges(db, now = new Date(), tz = null) {
+  const win   = periodWindow('monthly', now, tz);
+  const days  = getDailyCost(db, win.from, win.to, { tz });
+  const today = todayIn(tz, now);
+  const spent = days.reduce((s, d) => s + d.cost_usd, 0);
+  const todayRow = days.find(d => d.date === today);
+  return {
+    today_usd:           todayRow ? todayRow.cost_usd : 0,
+    month_usd:           spent,
+    projected_month_usd: spent + spent / Math.max(days.length, 1) * win.daysLeft,
+  };
+}
+
+/** True when the Accept header prefers OpenMetrics over the Prometheus text format. */
+function wantsOpenMetrics(accept) {
+  return /application\/openmetrics-text/i.test(accept || '');
+}
+
+/**
+ * Render every metric.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ openMetrics?: boolean, now?: Date, tz?: string|null }} [options]
+ * @returns {{ contentType: string, body: string }}
+ */
+function renderMetrics(db, { openMetrics = false, now = new Date(), tz = null } = {}) {
+  const out = [];
+  // OpenMetrics names the counter family without _total; the Prometheus format names it with
+  const family = (name, type, help, samples) => {
+    const base = `${PREFIX}_${name}`;
+    out.push(`# HELP ${type === 'counter' && !openMetrics ? `${base}_total` : base} ${help}`);
+    out.push(`# TYPE ${type === 'counter' && !openMetrics ? `${base}_total` : base} ${type}`);
+    for (const [labels, value] of samples) {
+      out.push(`${base}${type === 'counter' ? '_total' : ''}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+  };
+  const all = [...series.values()];
+
+  family('cost_usd', 'counter', 'Estimated cost in US dollars.',
+    all.map(s => [s.labels, s.cost_usd]));
+  family('tokens', 'counter', 'Tokens by type: input, output, cache_read and cache_creation.',
+    all.flatMap(s => Object.entries(TOKEN_TYPES).map(([type, col]) => [{ ...s.labels, type }, s[col]])));
+  family('requests', 'counter', 'Billed requests.',
+    all.map(s => [s.labels, s.requests]));
+
+  const gauges = spendGauges(db, now, tz);
+  family('today_cost_usd', 'gauge', `Spend so far today (${tz || 'UTC'}).`, [[{}, gauges.today_usd]]);
+  family('month_cost_usd', 'gauge', `Spend so far this calendar month (${tz || 'UTC'}).`, [[{}, gauges.month_usd]]);
+  family('projected_month_cost_usd', 'gauge', 'Projected spend for this calendar month at the current daily run rate.',
+    [[{}, gauges.projected_month_usd]]);
+
+  if (openMetrics) out.push('# EOF');
+  return { contentType: openMetrics ? OPENMETRICS_TYPE : PROMETHEUS_TYPE, body: out.join('\n') + '\n' };
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(n) {
+  return Number.isFinite(n) ? String(n) : 'NaN';
+}
+
+module.exports = { loadMetrics, recordEvent, renderMetrics, wantsOpenMetrics, spendGauges };
@@ -0,0 +1,235 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Opt-in OpenTelemetry export. With an endpoint configured, every newly stored
+ * event is sent to an OTLP/HTTP receiver (JSON encoding) as a span, as metric
+ * data points, or both, named after the GenAI semantic conventions:
+ *
+ *   span      "chat <model>", kind CLIENT, at occurred_at; one trace per session
+ *   metrics   gen_ai.client.token.usage  histogram, one point per token type
+ *             llm_spend.cost             delta sum in USD
+ *
+ * Spans and data points carry gen_ai.provider.name, gen_ai.request.model,
+ * gen_ai.conversation.id (the session), the gen_ai.usage.* token counts and
+ * llm_spend.cost_usd. Prompt text is never sent. Without an endpoint the
+ * exporter does nothing.
+ */
+const SIGNALS    = ['traces', 'metrics', 'both'];
+const BATCH_SIZE = 500;   // events per request
+const TIMEOUT_MS = 10000;
+
+const SPAN_KIND_CLIENT  = 3;
+const TEMPORALITY_DELTA = 1;
+const SCOPE = { name: 'llm-spend', version: require('../package.json').version };
+
+/**
+ * Validate --otlp-* options; returns null when no endpoint is set.
+ *
+ * @param {{ endpoint?: string, headers?: string|string[], signal?: string }} [input]
+ *   headers as "Name=Value" strings, or one comma-separated string like OTEL_EXPORTER_OTLP_HEADERS
+ * @returns {{ endpoint: string, headers: Object<string,string>, signal: string }|null}
+ */
+function normalizeOtlp(input = {}) {
+  const { endpoint, headers = [], signal = 'traces' } = input || {};
+  if (!endpoint) return null;
+
+  let url;
+  try { url = new URL(endpoint); } catch { url = null; }
+  if (!url || !/^https?:$/.test(url.protocol)) throw new Error(`--otlp-endpoint must be an http(s) URL, got "${endpoint}"`);
+  if (!SIGNALS.includes(signal))                throw new Error(`--otlp-signal must be one of ${SIGNALS.join(', ')}`);
+
+  const parsed = {};
+  const list   = typeof headers === 'string' ? headers.split(',') : headers;
+  for (const h of list.map(s => s.trim()).filter(Boolean)) {
+    const eq = h.indexOf('=');
+    if (eq < 1) throw new Error(`--otlp-header must look like Name=Value, got "${h}"`);
+    parsed[h.slice(0, eq).trim()] = decodeURIComponent(h.slice(eq + 1).trim());
+  }
+  return { endpoint: url.href.replace(/\/+$/, ''), headers: parsed, signal };
+}
+
+/**
+ * Exporter for normalizeOtlp()'s result. export() queues events and returns at
+ * once; requests go out one at a time in order. A batch the receiver rejects
+ * or that times out is dropped and logged — usage keeps being recorded either way.
+ * Events without a parseable occurred_at are skipped.
+ *
+ * @param {ReturnType<typeof normalizeOtlp>} config
+ * @returns {{ enabled: boolean, export: (events: object[]) => void, flush: () => Promise<void> }}
+ */
+function createExporter(config) {
+  if (!config) return { enabled: false, export() {}, flush: () => Promise.resolve() };
+
+  let queue   = Promise.resolve();
+  let failing = false; // log the first failure of a streak, and the recovery
+  return {
+    enabled: true,
+    export(events) {
+      // Spans and points need a time; one unreadable timestamp must not sink the batch
+      events = events.filter(ev => Number.isFinite(Date.parse(ev.occurred_at)));
+      if (!events.length) return;
+      queue = queue
+        .then(() => sendEvents(config, events))
+        .then(() => {
+          if (failing) console.log(`[llm-spend] OTLP export to ${config.endpoint} is working again`);
+          failing = false;
+        }, err => {
+          if (!failing) console.error(`[llm-spend] OTLP export failed, dropping ${events.length} events: ${err.message}`);
+          failing = true;
+        });
+    },
+    flush: () => queue,
+  };
+}
+
+async function sendEvents(config, events) {
+  for (let i = 0; i < events.length; i += BATCH_SIZE) {
+    const batch = events.slice(i, i + BATCH_SIZE);
+    if (config.signal !== 'metrics') await post(config, '/v1/traces',  tracesPayload(batch));
+    if (config.signal !== 'traces')  await post(config, '/v1/metrics', metricsPayload(batch));
+  }
+}
+
+async function post({ endpoint, headers }, signalPath, payload) {
+  const res = await fetch(endpoint + signalPath, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body:    JSON.stringify(payload),
+    signal:  AbortSignal.timeout(TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`${signalPath} answered ${res.status} ${res.statusText}`);
+}
+
+// ── Payloads (OTLP/JSON: ids in hex, 64-bit integers as strings) ──────────────
+
+function tracesPayload(events) {
+  return {
+    resourceSpans: [{
+      resource:   resource(),
+      scopeSpans: [{
+        scope: SCOPE,
+        spans: events.map(ev => ({
+          traceId:           hexId(`${ev.provider}:${ev.session_id || ev.request_id}`, 32),
+          spanId:            hexId(`${ev.provider}:${ev.request_id}`, 16),
+          name:              `chat ${ev.model}`,
+          kind:              SPAN_KIND_CLIENT,
+          startTimeUnixNano: unixNano(ev.occurred_at),
+          endTimeUnixNano:   unixNano(ev.occurred_at),
+          attributes:        attributes(spanAttributes(ev)),
+        })),
+      }],
+    }],
+  };
+}
+
+function metricsPayload(events) {
+  const tokens = [];
+  const cost   = [];
+  for (const ev of events) {
+    const time = unixNano(ev.occurred_at);
+    const base = pointAttributes(ev);
+    for (const [type, n] of tokenCounts(ev)) {
+      tokens.push({
+        attributes:        attributes({ ...base, 'gen_ai.token.type': type }),
+        startTimeUnixNano: time,
+        timeUnixNano:      time,
+        count:             '1',
+        sum:               n,
+        bucketCounts:      ['1'],
+        explicitBounds:    [],
+      });
+    }
+    cost.push({ attributes: attributes(base), startTimeUnixNano: time, timeUnixNano: time, asDouble: ev.cost_usd || 0 });
+  }
+  return {
+    resourceMetrics: [{
+      resource:     resource(),
+      scopeMetrics: [{
+        scope:   SCOPE,
+        metrics: [
+          {
+            name: 'gen_ai.client.token.usage', unit: '{token}',
+            description: 'Tokens used per request, by gen_ai.token.type',
+            histogram: { aggregationTemporality: TEMPORALITY_DELTA, dataPoints: tokens },
+          },
+          {
+            name: 'llm_spend.cost', unit: 'USD',
+            description: 'Estimated cost per request',
+            sum: { aggregationTemporality: TEMPORALITY_DELTA, isMonotonic: true, dataPoints: cost },
+          },
+        ],
+      }],
+    }],
+  };
+}
+
+// Cache types are only sent when the request used the cache
+function tokenCounts(ev) {
+  return [
+    ['input',          ev.input_tokens || 0],
+    ['output',         ev.output_tokens || 0],
+    ['cache_read',     ev.cache_read_tokens || 0],
+    ['cache_creation', ev.cache_creation_tokens || 0],
+  ].filter(([type, n]) => n > 0 || type === 'input' || type === 'output');
+}
+
+function pointAttributes(ev) {
+  return {
+    'gen_ai.operation.name':  'chat',
+    'gen_ai.provider.name':   ev.provider,
+    'gen_ai.request.model':   ev.model,
+    'gen_ai.conversation.id': ev.session_id,
+    'llm_spend.project':      ev.project_path,
+    'llm_spend.source':       ev.source,
+    'llm_spend.user':         ev.user_name,
+  };
+}
+
+function spanAttributes(ev) {
+  return {
+    ...pointAttributes(ev),
+    'gen_ai.response.model':                    ev.model,
+    'gen_ai.response.id':                       ev.request_id,
+    'gen_ai.agent.id':                          ev.agent_id,
+    'gen_ai.usage.input_tokens':                ev.input_tokens || 0,
+    'gen_ai.usage.output_tokens':               ev.output_tokens || 0,
+    'gen_ai.usage.cache_read.input_tokens':     ev.cache_read_tokens || 0,
+    'gen_ai.usage.cache_creation.input_tokens': ev.cache_creation_tokens || 0,
+    'llm_spend.cost_usd':                       { doubleValue: ev.cost_usd || 0 },
+    'vcs.ref.head.name':                        ev.git_branch,
+  };
+}
+
+function resource() {
+  return { attributes: attributes({ 'service.name': 'llm-spend', 'service.version': SCOPE.version }) };
+}
+
+// Key/value list; null and undefined are left out, whole numbers become intValue
+// unless already wrapped, e.g. { doubleValue: 0 }
+function attributes(obj) {
+  const out = [];
+  for (const [key, v] of Object.entries(obj)) {
+    if (v == null) continue;
+    if (typeof v === 'object') {
+      out.push({ key, value: v });
+    } else if (typeof v === 'number') {
+      out.push({ key, value: Number.isInteger(v) ? { intValue: String(v) } : { doubleValue: v } });
+    } else {
+      out.push({ key, value: { stringValue: String(v) } });
+    }
+  }
+  return out;
+}
+
+// Stable ids, so re-sending an event gives the same span and a session's requests share a trace
+function hexId(seed, length) {
+  return crypto.createHash('sha256').update(seed).digest('hex').slice(0, length);
+}
+
+function unixNano(iso) {
+  return (BigInt(Date.parse(iso)) * 1000000n).toString();
+}
+
+module.exports = { normalizeOtlp, createExporter, tracesPayload, metricsPayload, SIGNALS };
@@ -0,0 +1,14 @@
+'use strict';
+
+const { parentPort } = require('worker_threads');
+const { parseJob, applyConfig } = require('./pool');
+
+// Worker-thread side of pool.js: parse one file per message, reply with its events
+parentPort.on('message', ({ job, config }) => {
+  try {
+    applyConfig(config);
+    parentPort.postMessage({ result: parseJob(job) });
+  } catch (err) {
+    parentPort.postMessage({ error: `${job.filePath}: ${err.message}` });
+  }
+});
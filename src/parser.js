@@ -3,16 +3,165 @@
 const fs   = require('fs');
 const path = require('path');
 const os   = require('os');
-const { computeCostUSD, inferProvider } = require('./pricing');
+const { computeCostUSD, inferProvider, pricingFingerprint } = require('./pricing');
+const { protectText } = require('./privacy');
+const { purgedFilter } = require('./retention');
+const { repoRoot, annotateRepo } = require('./git');
+const { parseInOrder } = require('./pool');
+const {
+  insertEvent, fillGitInfo, resolveRepoRoots, upsertSubagentRun, upsertToolCall,
+  getImportState, upsertImportState, clearImportState, getSetting, setSetting, repriceEvents,
+} = require('./db');
+
+// Bump when parseJSONL extracts something new from lines already imported: the
+// next import re-reads every file, and request_id dedup keeps events unique.
+const PARSER_VERSION = 3;
+const CHUNK_BYTES    = 1 << 20; // logs are read a megabyte at a time
 
 /**
  * Read all Claude Code JSONL logs from ~/.claude and return an array of events.
- * No database — pure in-memory. Dedups by request_id (msg.id).
+ * Pure in-memory — see importAll() for the database-backed path. Files are
+ * parsed on worker threads (see pool.js); events are deduped by provider and
+ * request_id as they come back, in file order.
  *
  * @param {string} [claudeDir]
- * @returns {Array} events
+ * @param {Array<{ adapter: object, root: string }>} [sources]  read these instead (see sources/index.js)
+ * @param {object} [options]
+ * @param {(progress: { parsed: number, total: number }) => void} [options.onProgress]
+ * @returns {Promise<Array>} events
+ */
+async function loadAllEvents(claudeDir, sources, { onProgress } = {}) {
+  const jobs = [];
+  if (!sources) {
+    for (const { filePath, projectPath } of listTranscripts(claudeDir)) {
+      jobs.push({ source: 'claude-code', filePath, projectPath });
+    }
+  } else {
+    for (const { adapter, root } of sources) {
+      for (const { filePath, projectPath } of adapter.listFiles(root)) jobs.push({ source: adapter.name, filePath, projectPath });
+    }
+  }
+
+  const seen   = new Set(); // same key as the UNIQUE constraint importAll relies on
+  const events = [];
+  if (onProgress) onProgress({ parsed: 0, total: jobs.length });
+  await parseInOrder(jobs, (job, parsed, done) => {
+    for (const ev of parsed.events) {
+      if (ev.request_id) {
+        const key = `${ev.provider}\u0000${ev.request_id}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+      }
+      events.push(annotateRepo(ev));
+    }
+    if (onProgress) onProgress({ parsed: done, total: jobs.length });
+  });
+
+  // Sort ascending by timestamp
+  events.sort((a, b) => (a.occurred_at < b.occurred_at ? -1 : 1));
+  return events;
+}
+
+/**
+ * Import new log lines from every source into the SQLite store. Files whose
+ * mtime matches import_state are skipped; changed files are read from
+ * byte_offset onward, on worker threads, and stored one transaction per
+ * file in listing order. Dedup across files is handled by the
+ * UNIQUE(provider, request_id) constraint.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {Array<{ adapter: object, root: string }>} sources  see sources/index.js
+ * @param {object} [options]
+ * @param {Set<string>} [options.files]  only consider these log paths
+ * @param {(ev: object) => void} [options.onInsert]  called for each newly stored event
+ * @param {(progress: { parsed: number, total: number }) => void} [options.onProgress]
+ *   called once the changed files are known, then after each one is stored
+ * @returns {Promise<{ filesScanned: number, filesImported: number, eventsInserted: number }>}
  */
-function loadAllEvents(claudeDir) {
+async function importAll(db, sources, { files, onInsert, onProgress } = {}) {
+  const result = { filesScanned: 0, filesImported: 0, eventsInserted: 0 };
+
+  if (getSetting(db, 'parser_version') !== PARSER_VERSION) {
+    clearImportState(db);
+    // Events whose logs are gone are not re-read — give them a repository from their path
+    resolveRepoRoots(db, repoRoot);
+    setSetting(db, 'parser_version', PARSER_VERSION);
+  }
+  // Re-reading a transcript must not bring back what retention or a purge deleted
+  const purged = purgedFilter(db);
+
+  const jobs = [];
+  for (const { adapter, root } of sources) {
+    for (const { filePath, projectPath } of adapter.listFiles(root)) {
+      if (files && !files.has(filePath)) continue;
+      result.filesScanned++;
+      let mtime;
+      try { mtime = Math.floor(fs.statSync(filePath).mtimeMs); }
+      catch { continue; }
+
+      const state = getImportState(db, filePath);
+      if (state && state.file_mtime === mtime) continue;
+      const fromStart = !state || !state.byte_offset;
+      jobs.push({
+        source: adapter.name, filePath, projectPath, mtime, state, fromStart,
+        resume: fromStart ? {} : { offset: state.byte_offset, state: savedParserState(state) },
+      });
+    }
+  }
+
+  const storeFile = db.transaction(({ filePath, mtime, state, fromStart }, { events, parsed }) => {
+    if (!parsed) return;
+    for (const ev of events) {
+      if (purged(annotateRepo(ev))) continue;
+      if (!insertEvent(db, ev).changes) { fillGitInfo(db, ev); continue; }
+      result.eventsInserted++;
+      if (onInsert) onInsert(ev);
+    }
+    for (const run of parsed.subagents || []) upsertSubagentRun(db, run);
+    for (const call of parsed.tools || []) if (!purged(call)) upsertToolCall(db, call);
+    const lineIndex = parsed.restarted || fromStart ? parsed.lines : state.last_line_index + parsed.lines;
+    upsertImportState(db, filePath, mtime, lineIndex, parsed.offset, parsed.state);
+    result.filesImported++;
+  });
+
+  if (onProgress) onProgress({ parsed: 0, total: jobs.length });
+  await parseInOrder(jobs, (job, parsed, done) => {
+    storeFile(job, parsed);
+    if (onProgress) onProgress({ parsed: done, total: jobs.length });
+  });
+  return result;
+}
+
+// Rows written before parser_state existed only carried the Claude prompt text
+function savedParserState(row) {
+  if (row.parser_state) return JSON.parse(row.parser_state);
+  return row.prompt_text ? { promptText: row.prompt_text } : {};
+}
+
+/**
+ * Recompute stored cost_usd when the price list (built-ins, pricing.json) has
+ * changed since the last run, so every event is priced by the current table.
+ *
+ * @returns {number} events repriced
+ */
+function repriceIfChanged(db) {
+  const fingerprint = pricingFingerprint();
+  if (getSetting(db, 'pricing_fingerprint') === fingerprint) return 0;
+  const n = repriceEvents(db, e => computeCostUSD(
+    e.model, e.input_tokens, e.output_tokens, e.cache_creation_tokens, e.cache_read_tokens, e
+  ));
+  setSetting(db, 'pricing_fingerprint', fingerprint);
+  return n;
+}
+
+/**
+ * List every top-level transcript under claudeDir/projects with the project
+ * path it should be attributed to.
+ *
+ * @param {string} [claudeDir]
+ * @returns {Array<{ filePath: string, projectPath: string|null }>}
+ */
+function listTranscripts(claudeDir) {
   claudeDir = claudeDir || path.join(os.homedir(), '.claude');
 
   if (!fs.existsSync(claudeDir)) return [];
@@ -20,16 +169,16 @@ function loadAllEvents(claudeDir) {
   const projectsDir = path.join(claudeDir, 'projects');
   if (!fs.existsSync(projectsDir)) return [];
 
-  const seen   = new Set(); // dedup by request_id
-  const events = [];
+  const files = [];
 
   const slugDirs = fs.readdirSync(projectsDir, { withFileTypes: true })
     .filter(d => d.isDirectory())
     .map(d => path.join(projectsDir, d.name));
 
   for (const slugDir of slugDirs) {
-    // Only read top-level *.jsonl files in the slug directory (no subdirs/subagents).
-    // This matches the reference dashboard behaviour and avoids double-counting.
+    // Top-level <session>.jsonl files, plus Task-tool subagent transcripts in
+    // <session>/subagents/*.jsonl. Subagent requests carry their own request_id,
+    // so reading both never double-counts.
     let projectPath = null;
 
     // sessions-index.json provides the canonical projectPath for each file
@@ -53,22 +202,65 @@ function loadAllEvents(claudeDir) {
     catch { continue; }
 
     for (const ent of entries) {
+      if (ent.isDirectory()) {
+        const proj = projectPathMap.get(ent.name + '.jsonl') ?? projectPath;
+        for (const fp of listSubagentFiles(path.join(slugDir, ent.name))) {
+          files.push({ filePath: fp, projectPath: proj });
+        }
+        continue;
+      }
       if (!ent.isFile() || !ent.name.endsWith('.jsonl')) continue;
       const fp = path.join(slugDir, ent.name);
       const proj = projectPathMap.get(ent.name) ?? projectPath;
-      parseJSONL(fp, proj, seen, events);
+      files.push({ filePath: fp, projectPath: proj });
     }
   }
 
-  // Sort ascending by timestamp
-  events.sort((a, b) => (a.occurred_at < b.occurred_at ? -1 : 1));
-  return events;
+  return files;
+}
+
+// <slug>/<session>/subagents/agent-<id>.jsonl
+function listSubagentFiles(sessionDir) {
+  const dir = path.join(sessionDir, 'subagents');
+  let entries;
+  try { entries = fs.readdirSync(dir, { withFileTypes: true }); }
+  catch { return []; }
+  return entries
+    .filter(ent => ent.isFile() && ent.name.endsWith('.jsonl'))
+    .map(ent => path.join(dir, ent.name));
 }
 
+/**
+ * Every file under `root` (recursively) whose name ends in one of `exts`.
+ * `root` may also be a single file, which is returned as-is.
+ *
+ * @returns {Array<{ filePath: string, projectPath: null }>}
+ */
+function listLogFiles(root, exts = ['.jsonl']) {
+  let stat;
+  try { stat = fs.statSync(root); } catch { return []; }
+  if (stat.isFile()) return [{ filePath: root, projectPath: null }];
+
+  const files = [];
+  const walk = (dir) => {
+    let entries;
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); }
+    catch { return; }
+    for (const ent of entries) {
+      const fp = path.join(dir, ent.name);
+      if (ent.isDirectory()) walk(fp);
+      else if (ent.isFile() && exts.some(e => ent.name.endsWith(e))) files.push({ filePath: fp, projectPath: null });
+    }
+  };
+  walk(root);
+  return files;
+}
+
+// Human-written text of a message, as much of it as the privacy mode keeps
 function extractHumanText(content) {
   if (!content) return null;
   // Plain string → direct human message
-  if (typeof content === 'string') return content.trim().slice(0, 400) || null;
+  if (typeof content === 'string') return protectText(content.trim()) || null;
   // Array → look for text items that are NOT tool_result
   if (Array.isArray(content)) {
     const parts = [];
@@ -78,37 +270,183 @@ function extractHumanText(content) {
       }
     }
     const joined = parts.join(' ').trim();
-    return joined ? joined.slice(0, 400) : null;
+    return joined ? protectText(joined) : null;
   }
   return null;
 }
 
-function parseJSONL(filePath, projectPath, seen, events) {
-  let content;
-  try { content = fs.readFileSync(filePath, 'utf8'); }
-  catch { return; }
+/**
+ * Stream the complete lines appended to a log since `offset`, a chunk at a
+ * time, so memory is bounded by the longest line rather than the file. A
+ * trailing partial line is still being written and is left for the next pass.
+ *
+ * Iterate `lines` to the end: `offset` and `count` are final once it is done.
+ *
+ * @returns {{ lines: Iterable<string>, offset: number, count: number, restarted: boolean }|null}
+ *   the lines, the offset to resume from next time, how many lines were read,
+ *   and whether the file had shrunk (truncated or rewritten — read again from
+ *   the start); null if unreadable
+ */
+function readNewLines(filePath, offset = 0) {
+  let fd, size;
+  try {
+    fd   = fs.openSync(filePath, 'r');
+    size = fs.fstatSync(fd).size;
+  } catch {
+    if (fd !== undefined) fs.closeSync(fd);
+    return null;
+  }
+  const read = { lines: null, offset, count: 0, restarted: false };
+  // request_id dedup keeps a full re-read safe
+  if (offset > size) { read.offset = 0; read.restarted = true; }
+  read.lines = streamLines(fd, size, read);
+  return read;
+}
 
-  let lastHumanText = null; // last non-tool_result user message text
+function* streamLines(fd, size, read) {
+  const buf = Buffer.allocUnsafe(Math.max(Math.min(CHUNK_BYTES, size - read.offset), 1));
+  let pos   = read.offset;
+  let tail  = [];  // bytes after the last newline so far, one piece per chunk
+  let tailBytes = 0;
+  try {
+    while (pos < size) {
+      const n = fs.readSync(fd, buf, 0, Math.min(buf.length, size - pos), pos);
+      if (!n) break; // truncated while reading
+      pos += n;
+      const end = buf.subarray(0, n).lastIndexOf(0x0a);
+      if (end === -1) {
+        tail.push(Buffer.from(buf.subarray(0, n)));
+        tailBytes += n;
+        continue;
+      }
+      // A newline byte never falls inside a multi-byte character, so each piece decodes whole
+      const text = Buffer.concat([...tail, buf.subarray(0, end)]).toString('utf8');
+      tail      = end + 1 < n ? [Buffer.from(buf.subarray(end + 1, n))] : [];
+      tailBytes = n - end - 1;
+      for (const line of text.split('\n')) {
+        read.count++;
+        yield line;
+      }
+      read.offset = pos - tailBytes;
+    }
+    // No newline yet — keep the last line only if it is already whole JSON
+    const last = Buffer.concat(tail).toString('utf8');
+    if (isCompleteLine(last)) {
+      read.count++;
+      yield last;
+      read.offset = pos;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
 
-  for (const raw of content.split('\n')) {
+/**
+ * Parse one Claude Code transcript from a byte offset, pushing events for
+ * complete lines. This is also the `parseFile` of the claude-code and jsonl
+ * source adapters; events carry the adapter's name as their source, with
+ * `-subagent` appended for sidechain requests.
+ *
+ * Subagent runs are linked to the Task call that started them: the parent's
+ * tool_use gives the description, and its progress and tool_result lines
+ * name the agentId. Subagent transcripts carry the parent's sessionId.
+ *
+ * Every tool_use is recorded with its target (file, command, URL) and the
+ * size of the tool_result that was fed back, for /api/tools.
+ *
+ * @param {object} [resume]
+ * @param {number} [resume.offset]  byte offset where the previous pass stopped
+ * @param {object} [resume.state]   parser state saved by that pass ({ promptText, tasks })
+ * @param {string} [source]         source name for the events
+ * @returns {{ offset: number, lines: number, state: object, restarted: boolean, subagents: object[], tools: object[] }|null}
+ *   where to resume next time and the subagent links and tool calls seen, or null if the file is unreadable
+ */
+function parseJSONL(filePath, projectPath, seen, events, resume = {}, source = 'claude-code') {
+  const read = readNewLines(filePath, resume.offset);
+  if (!read) return null;
+  const { lines, restarted } = read;
+
+  const prev = (!restarted && resume.state) || {};
+  // last non-tool_result user message text
+  let lastHumanText = prev.promptText || null;
+  // Task calls whose subagent is not yet known: tool_use id → { description, subagent_type }
+  const tasks     = { ...prev.tasks };
+  const subagents = [];
+  const tools     = [];
+  const fileAgent = (path.basename(filePath).match(/^agent-(.+)\.jsonl$/) || [])[1] || null;
+
+  const link = (agentId, sessionId, toolUseId) => {
+    if (!agentId) return;
+    const task = (toolUseId && tasks[toolUseId]) || {};
+    subagents.push({ agent_id: agentId, session_id: sessionId || null, tool_use_id: toolUseId || null, ...task });
+  };
+
+  for (const raw of lines) {
     const line = raw.trim();
     if (!line) continue;
 
     let obj;
     try { obj = JSON.parse(line); } catch { continue; }
 
+    // A running subagent reports progress into the parent transcript
+    if (obj.type === 'progress') {
+      if (obj.parentToolUseID && obj.data && obj.data.agentId && tasks[obj.parentToolUseID]) {
+        link(obj.data.agentId, obj.sessionId, obj.parentToolUseID);
+      }
+      continue;
+    }
+
     // Track last human-written text (not tool results)
     if (obj.type === 'user') {
       const msg = obj.message;
       const text = msg ? extractHumanText(msg.content) : null;
       if (text) lastHumanText = text;
+      const agentId = obj.toolUseResult && obj.toolUseResult.agentId;
+      for (const item of (msg && Array.isArray(msg.content) ? msg.content : [])) {
+        if (!item || item.type !== 'tool_result' || !item.tool_use_id) continue;
+        const chars = resultChars(item.content);
+        tools.push({
+          tool_use_id:   item.tool_use_id,
+          result_at:     obj.timestamp || null,
+          result_chars:  chars,
+          result_tokens: Math.ceil(chars / 4), // ~4 characters per token
+          is_error:      item.is_error ? 1 : 0,
+        });
+        // A Task result closes the call and names the agent that ran it
+        if (!tasks[item.tool_use_id]) continue;
+        link(agentId, obj.sessionId, item.tool_use_id);
+        delete tasks[item.tool_use_id];
+      }
       continue;
     }
 
     // Only assistant messages with usage data
     if (obj.type !== 'assistant') continue;
     const msg = obj.message;
-    if (!msg || !msg.usage) continue;
+    if (!msg) continue;
+
+    // Inline sidechains in older transcripts have no agentId
+    const agentId = obj.isSidechain ? (obj.agentId || fileAgent) : null;
+
+    // Content blocks of one response are split across lines sharing msg.id — look before dedup
+    for (const item of (Array.isArray(msg.content) ? msg.content : [])) {
+      if (!item || item.type !== 'tool_use' || !item.id) continue;
+      const input = item.input || {};
+      tools.push({
+        tool_use_id:  item.id,
+        session_id:   obj.sessionId || null,
+        agent_id:     agentId,
+        request_id:   msg.id || null,
+        project_path: projectPath || obj.cwd || null,
+        tool_name:    item.name || null,
+        target:       protectText(toolTarget(item.name, input), 200),
+        called_at:    obj.timestamp || null,
+      });
+      if (item.name === 'Task' || item.name === 'Agent') {
+        tasks[item.id] = { description: input.description || null, subagent_type: input.subagent_type || null };
+      }
+    }
+    if (!msg.usage) continue;
 
     const requestId = msg.id;
     if (!requestId) continue;
@@ -120,11 +458,22 @@ function parseJSONL(filePath, projectPath, seen, events) {
     const model = msg.model;
     if (!model || model === '<synthetic>') continue;
 
+    if (agentId && fileAgent && !subagents.length) link(agentId, obj.sessionId, null);
+
     const usage = msg.usage;
+    // cache_creation splits cache writes by TTL; the 1-hour tier is billed higher
+    const cacheBreakdown      = usage.cache_creation || {};
+    const cacheCreation1h     = cacheBreakdown.ephemeral_1h_input_tokens || 0;
     const inputTokens         = usage.input_tokens                || 0;
     const outputTokens        = usage.output_tokens               || 0;
-    const cacheCreationTokens = usage.cache_creation_input_tokens || 0;
+    const cacheCreationTokens = usage.cache_creation_input_tokens
+      ?? ((cacheBreakdown.ephemeral_5m_input_tokens || 0) + cacheCreation1h);
     const cacheReadTokens     = usage.cache_read_input_tokens     || 0;
+    const pricingDetails      = {
+      occurred_at:              obj.timestamp || new Date().toISOString(),
+      cache_creation_1h_tokens: cacheCreation1h,
+      service_tier:             usage.service_tier || null,
+    };
 
     events.push({
       provider:              inferProvider(model),
@@ -132,16 +481,66 @@ function parseJSONL(filePath, projectPath, seen, events) {
       session_id:            obj.sessionId   || null,
       project_path:          projectPath || obj.cwd || null,
       request_id:            requestId,
-      occurred_at:           obj.timestamp   || new Date().toISOString(),
+      occurred_at:           pricingDetails.occurred_at,
       input_tokens:          inputTokens,
       output_tokens:         outputTokens,
       cache_creation_tokens: cacheCreationTokens,
       cache_read_tokens:     cacheReadTokens,
-      cost_usd:              computeCostUSD(model, inputTokens, outputTokens, cacheCreationTokens, cacheReadTokens),
-      source:                obj.isSidechain ? 'claude-code-subagent' : 'claude-code',
+      cache_creation_1h_tokens: cacheCreation1h,
+      service_tier:          pricingDetails.service_tier,
+      cost_usd:              computeCostUSD(model, inputTokens, outputTokens, cacheCreationTokens, cacheReadTokens, pricingDetails),
+      source:                obj.isSidechain ? `${source}-subagent` : source,
       prompt_text:           lastHumanText || null,
+      agent_id:              agentId,
+      git_branch:            obj.gitBranch || null,
     });
   }
+
+  return {
+    offset: read.offset,
+    lines:  read.count,
+    state:  { promptText: lastHumanText, tasks },
+    restarted,
+    subagents,
+    tools,
+  };
+}
+
+// What a tool call was about, for the per-file / per-command breakdown
+function toolTarget(name, input) {
+  switch (name) {
+    case 'Read': case 'Edit': case 'MultiEdit': case 'Write':
+      return input.file_path || null;
+    case 'NotebookRead': case 'NotebookEdit':
+      return input.notebook_path || null;
+    case 'Bash':
+      return input.command ? String(input.command) : null;
+    case 'Grep': case 'Glob':
+      return input.pattern ? input.pattern + (input.path ? ` in ${input.path}` : '') : null;
+    case 'WebFetch':
+      return input.url || null;
+    case 'WebSearch':
+      return input.query || null;
+    case 'Task': case 'Agent':
+      return input.subagent_type || input.description || null;
+    default:
+      return null;
+  }
+}
+
+// Text fed back to the model; images and other blocks are not counted
+function resultChars(content) {
+  if (typeof content === 'string') return content.length;
+  if (!Array.isArray(content)) return 0;
+  return content.reduce((n, c) => n + (c && c.type === 'text' && typeof c.text === 'string' ? c.text.length : 0), 0);
+}
+
+function isCompleteLine(raw) {
+  if (!raw.trim()) return false;
+  try { JSON.parse(raw); return true; } catch { return false; }
 }
 
-module.exports = { loadAllEvents };
+module.exports = {
+  loadAllEvents, importAll, repriceIfChanged,
+  listTranscripts, listLogFiles, parseJSONL, readNewLines, extractHumanText,
+};
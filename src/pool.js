@@ -0,0 +1,128 @@
+'use strict';
+
+const os   = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const pricing = require('./pricing');
+const privacy = require('./privacy');
+
+/**
+ * Log files are parsed on a small pool of worker threads, so a big import
+ * keeps the server responsive and only a few files' events are in memory at
+ * once. Results are handed back in the order the files were listed — the
+ * same order a sequential pass would store them in, so request_id dedup
+ * keeps the same copy of an event either way.
+ *
+ * A job is { source, filePath, projectPath, resume }: `source` names the
+ * adapter in sources/index.js, `resume` is what its parseFile() takes.
+ */
+const CPUS      = os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+const POOL_SIZE = Math.max(1, Math.min(4, CPUS - 1));
+const WINDOW    = POOL_SIZE * 2; // parsed files waiting for their turn, at most
+
+const slots = []; // { worker, task }
+const queue = []; // tasks waiting for a free worker
+
+// ── Parsing ───────────────────────────────────────────────────────────────────
+
+/**
+ * Parse one file — on a worker, or inline for a single file.
+ *
+ * @returns {{ events: object[], parsed: object|null }}  parsed is parseFile()'s result
+ */
+function parseJob({ source, filePath, projectPath, resume }) {
+  const { ADAPTERS } = require('./sources'); // sources → parser → pool
+  const events = [];
+  const parsed = ADAPTERS[source].parseFile(filePath, projectPath, events, resume || {});
+  return { events, parsed };
+}
+
+// Pricing and privacy as the main thread has them; workers apply it before parsing
+function parseConfig() {
+  return { pricingFile: pricing.getPricingFile(), privacy: privacy.getPrivacy() };
+}
+
+let applied = null;
+function applyConfig(config) {
+  const fingerprint = JSON.stringify(config);
+  if (fingerprint === applied) return;
+  pricing.loadPricingFile(config.pricingFile);
+  privacy.configurePrivacy(config.privacy);
+  applied = fingerprint;
+}
+
+/**
+ * Parse every job and call onResult(job, result, done) in job order.
+ * A single job is parsed on the calling thread — not worth a worker.
+ *
+ * @param {object[]} jobs
+ * @param {(job: object, result: { events: object[], parsed: object|null }, done: number) => void} onResult
+ * @param {object} [options]
+ * @param {boolean} [options.inline]  parse on this thread (default: only for a single job)
+ */
+async function parseInOrder(jobs, onResult, { inline = jobs.length < 2 } = {}) {
+  const pending = [];
+  let next = 0;
+  for (let done = 0; done < jobs.length; done++) {
+    while (next < jobs.length && pending.length < WINDOW) {
+      const job = jobs[next++];
+      const p   = inline ? Promise.resolve().then(() => parseJob(job)) : runOnWorker(job);
+      p.catch(() => {}); // rethrown when its turn comes
+      pending.push(p);
+    }
+    onResult(jobs[done], await pending.shift(), done + 1);
+  }
+}
+
+// ── Workers ───────────────────────────────────────────────────────────────────
+
+function runOnWorker(job) {
+  return new Promise((resolve, reject) => {
+    queue.push({ job, resolve, reject });
+    dispatch();
+  });
+}
+
+function dispatch() {
+  while (queue.length) {
+    let slot = slots.find(s => !s.task);
+    if (!slot && slots.length < POOL_SIZE) slots.push(slot = spawn());
+    if (!slot) return;
+    const task = slot.task = queue.shift();
+    const { source, filePath, projectPath, resume } = task.job;
+    slot.worker.ref(); // an idle pool must not keep the process alive, a busy one must
+    slot.worker.postMessage({ job: { source, filePath, projectPath, resume }, config: parseConfig() });
+  }
+}
+
+function spawn() {
+  const slot = { worker: new Worker(path.join(__dirname, 'parse-worker.js')), task: null };
+  slot.worker.unref();
+  slot.worker.on('message', ({ result, error }) => {
+    const task = finish(slot);
+    if (error) task.reject(new Error(error));
+    else task.resolve(result);
+  });
+  // A crashed worker is replaced on the next dispatch
+  slot.worker.on('error', err => {
+    const task = slot.task && finish(slot);
+    if (task) task.reject(err);
+  });
+  slot.worker.on('exit', () => {
+    slots.splice(slots.indexOf(slot), 1);
+    const task = slot.task && finish(slot);
+    if (task) task.reject(new Error(`Parser worker exited while reading ${task.job.filePath}`));
+    dispatch();
+  });
+  return slot;
+}
+
+function finish(slot) {
+  const task = slot.task;
+  slot.task = null;
+  slot.worker.unref();
+  setImmediate(dispatch);
+  return task;
+}
+
+module.exports = { POOL_SIZE, parseJob, applyConfig, parseInOrder };
@@ -1,31 +1,62 @@
 'use strict';
 
+const fs     = require('fs');
+const crypto = require('crypto');
+
 // Prices in USD per 1,000,000 tokens
-// cache_write / cache_read are Anthropic prompt caching tiers
+// cache_write / cache_read are Anthropic prompt caching tiers; cache_write is the
+// 5-minute TTL, cache_write_1h the 1-hour TTL (2× input)
 // Sources: platform.claude.com/docs/about-claude/pricing
 // Note: Claude 4.5/4.6 Opus is the cheaper new generation ($5/$25), NOT the old 4.0 ($15/$75)
+
+// Requests whose prompt (input + cache write + cache read) exceeds `threshold`
+// are billed entirely at these rates on 1M-context models
+const SONNET_LONG_CONTEXT = { threshold: 200000, input:  6.00, output: 22.50, cache_write:  7.50, cache_write_1h: 12.00, cache_read: 0.60 };
+const OPUS_LONG_CONTEXT   = { threshold: 200000, input: 10.00, output: 37.50, cache_write: 12.50, cache_write_1h: 20.00, cache_read: 1.00 };
+
+// Multipliers on the whole request by usage.service_tier; entries may set their own `service_tiers`
+const SERVICE_TIERS = { batch: 0.5 };
+
+// Name suffixes for a smaller or larger model than the prefix they follow (o3-mini, o1-pro)
+const MODEL_SIZES = /^-(?:mini|nano|micro|lite|pro|max|turbo|deep-research)(?![a-z])/;
+
+// Bump when lookupModel() matches names differently — stored costs are recomputed
+const MATCH_RULES = 2;
+
+// When a list price changes, keep the old entry and add the new rate with
+// effective_from: 'YYYY-MM-DD' — stored costs are recomputed whenever this table
+// changes, and events from before that day must keep the price they were billed at.
 const PRICING = [
   // ── Anthropic Claude 4.6 ────────────────────────────────────────────────────
-  { prefix: 'claude-opus-4-6',    provider: 'anthropic', input:  5.00, output: 25.00, cache_write:  6.25, cache_read: 0.50 },
-  { prefix: 'claude-sonnet-4-6',  provider: 'anthropic', input:  3.00, output: 15.00, cache_write:  3.75, cache_read: 0.30 },
-  { prefix: 'claude-haiku-4-6',   provider: 'anthropic', input:  1.00, output:  5.00, cache_write:  1.25, cache_read: 0.10 },
+  { prefix: 'claude-opus-4-6',    provider: 'anthropic', input:  5.00, output: 25.00, cache_write:  6.25, cache_write_1h: 10.00, cache_read: 0.50, long_context: OPUS_LONG_CONTEXT },
+  { prefix: 'claude-sonnet-4-6',  provider: 'anthropic', input:  3.00, output: 15.00, cache_write:  3.75, cache_write_1h:  6.00, cache_read: 0.30, long_context: SONNET_LONG_CONTEXT },
+  { prefix: 'claude-haiku-4-6',   provider: 'anthropic', input:  1.00, output:  5.00, cache_write:  1.25, cache_write_1h:  2.00, cache_read: 0.10 },
 
   // ── Anthropic Claude 4.5 ────────────────────────────────────────────────────
-  { prefix: 'claude-opus-4-5',    provider: 'anthropic', input:  5.00, output: 25.00, cache_write:  6.25, cache_read: 0.50 },
-  { prefix: 'claude-sonnet-4-5',  provider: 'anthropic', input:  3.00, output: 15.00, cache_write:  3.75, cache_read: 0.30 },
-  { prefix: 'claude-haiku-4-5',   provider: 'anthropic', input:  1.00, output:  5.00, cache_write:  1.25, cache_read: 0.10 },
+  { prefix: 'claude-opus-4-5',    provider: 'anthropic', input:  5.00, output: 25.00, cache_write:  6.25, cache_write_1h: 10.00, cache_read: 0.50 },
+  { prefix: 'claude-sonnet-4-5',  provider: 'anthropic', input:  3.00, output: 15.00, cache_write:  3.75, cache_write_1h:  6.00, cache_read: 0.30, long_context: SONNET_LONG_CONTEXT },
+  { prefix: 'claude-haiku-4-5',   provider: 'anthropic', input:  1.00, output:  5.00, cache_write:  1.25, cache_write_1h:  2.00, cache_read: 0.10 },
 
   // ── Anthropic Claude 4.0 / 4.1 (legacy expensive tier) ─────────────────────
-  { prefix: 'claude-opus-4-1',    provider: 'anthropic', input: 15.00, output: 75.00, cache_write: 18.75, cache_read: 1.50 },
-  { prefix: 'claude-opus-4',      provider: 'anthropic', input: 15.00, output: 75.00, cache_write: 18.75, cache_read: 1.50 },
+  { prefix: 'claude-opus-4-1',    provider: 'anthropic', input: 15.00, output: 75.00, cache_write: 18.75, cache_write_1h: 30.00, cache_read: 1.50 },
+  { prefix: 'claude-opus-4',      provider: 'anthropic', input: 15.00, output: 75.00, cache_write: 18.75, cache_write_1h: 30.00, cache_read: 1.50 },
+  { prefix: 'claude-sonnet-4',    provider: 'anthropic', input:  3.00, output: 15.00, cache_write:  3.75, cache_write_1h:  6.00, cache_read: 0.30, long_context: SONNET_LONG_CONTEXT },
 
   // ── Anthropic Claude 3.x ────────────────────────────────────────────────────
-  { prefix: 'claude-opus-3',      provider: 'anthropic', input: 15.00, output: 75.00, cache_write: 18.75, cache_read: 1.50 },
-  { prefix: 'claude-sonnet-3-7',  provider: 'anthropic', input:  3.00, output: 15.00, cache_write:  3.75, cache_read: 0.30 },
-  { prefix: 'claude-sonnet-3-5',  provider: 'anthropic', input:  3.00, output: 15.00, cache_write:  3.75, cache_read: 0.30 },
-  { prefix: 'claude-sonnet-3',    provider: 'anthropic', input:  3.00, output: 15.00, cache_write:  3.75, cache_read: 0.30 },
-  { prefix: 'claude-haiku-3-5',   provider: 'anthropic', input:  0.80, output:  4.00, cache_write:  1.00, cache_read: 0.08 },
-  { prefix: 'claude-haiku-3',     provider: 'anthropic', input:  0.25, output:  1.25, cache_write:  0.30, cache_read: 0.03 },
+  { prefix: 'claude-opus-3',      provider: 'anthropic', input: 15.00, output: 75.00, cache_write: 18.75, cache_write_1h: 30.00, cache_read: 1.50 },
+  { prefix: 'claude-sonnet-3-7',  provider: 'anthropic', input:  3.00, output: 15.00, cache_write:  3.75, cache_write_1h:  6.00, cache_read: 0.30 },
+  { prefix: 'claude-sonnet-3-5',  provider: 'anthropic', input:  3.00, output: 15.00, cache_write:  3.75, cache_write_1h:  6.00, cache_read: 0.30 },
+  { prefix: 'claude-sonnet-3',    provider: 'anthropic', input:  3.00, output: 15.00, cache_write:  3.75, cache_write_1h:  6.00, cache_read: 0.30 },
+  { prefix: 'claude-haiku-3-5',   provider: 'anthropic', input:  0.80, output:  4.00, cache_write:  1.00, cache_write_1h:  1.60, cache_read: 0.08 },
+  { prefix: 'claude-haiku-3',     provider: 'anthropic', input:  0.25, output:  1.25, cache_write:  0.30, cache_write_1h:  0.50, cache_read: 0.03 },
+
+  // ── OpenAI GPT-5 / GPT-4.1 (Codex CLI, API logs) ────────────────────────────
+  { prefix: 'gpt-5-nano',         provider: 'openai', input:  0.05, output:  0.40, cache_write: null, cache_read: 0.005 },
+  { prefix: 'gpt-5-mini',         provider: 'openai', input:  0.25, output:  2.00, cache_write: null, cache_read: 0.025 },
+  { prefix: 'gpt-5',              provider: 'openai', input:  1.25, output: 10.00, cache_write: null, cache_read: 0.125 },
+  { prefix: 'gpt-4.1-nano',       provider: 'openai', input:  0.10, output:  0.40, cache_write: null, cache_read: 0.025 },
+  { prefix: 'gpt-4.1-mini',       provider: 'openai', input:  0.40, output:  1.60, cache_write: null, cache_read: 0.10  },
+  { prefix: 'gpt-4.1',            provider: 'openai', input:  2.00, output:  8.00, cache_write: null, cache_read: 0.50  },
 
   // ── OpenAI GPT-4o family ────────────────────────────────────────────────────
   { prefix: 'gpt-4o-mini',        provider: 'openai', input:  0.15, output:  0.60, cache_write: null, cache_read: 0.075 },
@@ -42,38 +73,177 @@ const PRICING = [
   { prefix: 'o1',                 provider: 'openai', input: 15.00, output: 60.00, cache_write: null, cache_read: 7.50  },
 ];
 
-// Strip trailing date suffixes like -20250929 or -2025-09-29 then fuzzy-prefix match
-function lookupModel(model) {
+// ── Local overrides ───────────────────────────────────────────────────────────
+// pricing.json adds or re-prices models without waiting for a release:
+//   { "discounts": { "anthropic": 12 },
+//     "models": [ { "prefix": "claude-sonnet-4-6", "provider": "anthropic",
+//                   "input": 3, "output": 15, "cache_write": 3.75, "cache_write_1h": 6,
+//                   "cache_read": 0.3, "effective_from": "2026-11-01", "discount_pct": 20,
+//                   "long_context": { "threshold": 200000, "input": 6, "output": 22.5, ... },
+//                   "service_tiers": { "batch": 0.5, "priority": 1.25 } } ] }
+// A bare array of model entries is accepted too. Entries without effective_from
+// apply to all dates; dated entries apply from that UTC day onward.
+let overrides     = [];
+let discounts     = {};
+let overridesFile = null;
+let table         = null; // overrides + built-ins, rebuilt when the file is (re)loaded
+
+/**
+ * Load (or clear) the pricing override file.
+ *
+ * @param {string} [file]
+ * @param {object} [options]
+ * @param {boolean} [options.required]  throw if the file does not exist
+ */
+function loadPricingFile(file, { required = false } = {}) {
+  overrides = []; discounts = {}; overridesFile = null; table = null;
+  if (!file) return;
+  if (!fs.existsSync(file)) {
+    if (required) throw new Error(`Pricing file not found: ${file}`);
+    return;
+  }
+
+  let data;
+  try { data = JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch (err) { throw new Error(`Invalid pricing file ${file}: ${err.message}`); }
+
+  const models = Array.isArray(data) ? data : (data.models || []);
+  overrides = models.map((m, i) => validateEntry(m, `${file} models[${i}]`));
+  discounts = (!Array.isArray(data) && data.discounts) || {};
+  overridesFile = file;
+  table = null;
+}
+
+function validateEntry(m, where) {
+  if (!m || typeof m.prefix !== 'string' || !m.prefix) throw new Error(`${where}: prefix is required`);
+  for (const k of ['input', 'output']) {
+    if (typeof m[k] !== 'number' || m[k] < 0) throw new Error(`${where}: ${k} must be a non-negative number`);
+  }
+  if (m.effective_from != null && !/^\d{4}-\d{2}-\d{2}$/.test(m.effective_from)) {
+    throw new Error(`${where}: effective_from must be YYYY-MM-DD`);
+  }
+  if (m.long_context != null && !(m.long_context.threshold > 0)) {
+    throw new Error(`${where}: long_context.threshold must be a positive token count`);
+  }
+  return {
+    prefix:         m.prefix.toLowerCase(),
+    provider:       m.provider || inferProviderFromName(m.prefix),
+    input:          m.input,
+    output:         m.output,
+    cache_write:    m.cache_write    ?? null,
+    cache_write_1h: m.cache_write_1h ?? null,
+    cache_read:     m.cache_read     ?? null,
+    long_context:   m.long_context   || null,
+    service_tiers:  m.service_tiers  || null,
+    effective_from: m.effective_from || null,
+    discount_pct:   m.discount_pct ?? null,
+    source:         'override',
+  };
+}
+
+/** Every entry in lookup order — overrides first, so they win ties with built-ins. */
+function pricingTable() {
+  if (!table) table = [...overrides, ...PRICING.map(p => ({ ...p, effective_from: p.effective_from || null, source: 'builtin' }))];
+  return table;
+}
+
+/** Changes whenever the effective price list does — stored costs are recomputed then. */
+function pricingFingerprint() {
+  return crypto.createHash('sha1').update(JSON.stringify({ table: pricingTable(), discounts, rules: MATCH_RULES })).digest('hex');
+}
+
+// Strip trailing date suffixes like -20250929 or -2025-09-29 then prefix match.
+// The most specific (longest) prefix wins; among entries with that prefix, an
+// override beats a built-in, then the latest effective_from on or before
+// occurredAt (default: today).
+function lookupModel(model, occurredAt) {
   if (!model) return null;
   const normalised = model
     .toLowerCase()
     .replace(/-\d{8}$/, '')          // -20250929
-    .replace(/-\d{4}-\d{2}-\d{2}$/, ''); // -2025-09-29
+    .replace(/-\d{4}-\d{2}-\d{2}$/, '') // -2025-09-29
+    .replace(/-latest$/, '')
+    .replace(/^claude-(\d(?:-\d)?)-(opus|sonnet|haiku)\b/, 'claude-$2-$1'); // claude-3-5-sonnet → claude-sonnet-3-5
+  const day = (occurredAt ? String(occurredAt) : new Date().toISOString()).slice(0, 10);
 
-  // Exact prefix match (longest first — entries are ordered most-specific first)
-  return PRICING.find(p => normalised.startsWith(p.prefix)) || null;
+  let best = null;
+  for (const p of pricingTable()) {
+    if (!prefixMatches(normalised, p.prefix)) continue;
+    if (p.effective_from && p.effective_from > day) continue;
+    if (!best || outranks(p, best)) best = p;
+  }
+  return best;
 }
 
-function computeCostUSD(model, inputTokens, outputTokens, cacheCreationTokens, cacheReadTokens) {
-  const entry = lookupModel(model);
+function outranks(p, best) {
+  if (p.prefix.length !== best.prefix.length) return p.prefix.length > best.prefix.length;
+  if (p.source !== best.source)               return p.source === 'override';
+  return (p.effective_from || '') > (best.effective_from || '');
+}
+
+/**
+ * Whether a price entry's prefix covers a model name. It must end at a name
+ * boundary (gpt-4 is not gpt-4o), and a version or base name does not cover
+ * a later minor version or a different size of the model: claude-opus-4 is
+ * not claude-opus-4-7, gpt-4 is not gpt-4.5, o3 is not o3-pro. Those stay
+ * unknown until the table has them, rather than borrowing another's price.
+ */
+function prefixMatches(name, prefix) {
+  if (!name.startsWith(prefix)) return false;
+  const rest = name.slice(prefix.length);
+  if (!rest) return true;
+  if (!/^[-.:@_/]/.test(prefix.slice(-1)) && !/^[-.:@_/]/.test(rest)) return false;
+  if (/\d$/.test(prefix) && /^[-.]\d{1,2}(?![\w.])/.test(rest))  return false;
+  return !MODEL_SIZES.test(rest);
+}
+
+/**
+ * @param {object} [details]
+ * @param {string} [details.occurred_at]               picks the price in force that day
+ * @param {number} [details.cache_creation_1h_tokens]  part of cacheCreationTokens written with the 1-hour TTL
+ * @param {string} [details.service_tier]              e.g. 'standard', 'batch', 'priority'
+ */
+function computeCostUSD(model, inputTokens, outputTokens, cacheCreationTokens, cacheReadTokens, details = {}) {
+  const entry = lookupModel(model, details.occurred_at);
   if (!entry) return 0;
 
+  // Long-context rates replace the base rates for the whole request
+  const prompt = (inputTokens || 0) + (cacheCreationTokens || 0) + (cacheReadTokens || 0);
+  const lc     = entry.long_context;
+  const rates  = lc && prompt > lc.threshold ? { ...entry, ...lc } : entry;
+
+  const write1h = Math.min(details.cache_creation_1h_tokens || 0, cacheCreationTokens || 0);
+  const write5m = (cacheCreationTokens || 0) - write1h;
+
   const M = 1_000_000;
   let cost = 0;
-  cost += (inputTokens         || 0) / M * entry.input;
-  cost += (outputTokens        || 0) / M * entry.output;
-  cost += (cacheCreationTokens || 0) / M * (entry.cache_write || 0);
-  cost += (cacheReadTokens     || 0) / M * (entry.cache_read  || 0);
-  return cost;
+  cost += (inputTokens     || 0) / M * rates.input;
+  cost += (outputTokens    || 0) / M * rates.output;
+  cost += write5m                / M * (rates.cache_write || 0);
+  cost += write1h                / M * (rates.cache_write_1h ?? rates.cache_write ?? 0);
+  cost += (cacheReadTokens || 0) / M * (rates.cache_read  || 0);
+
+  const tier     = (entry.service_tiers || SERVICE_TIERS)[details.service_tier] ?? 1;
+  const discount = entry.discount_pct ?? discounts[entry.provider] ?? 0;
+  return cost * tier * (1 - discount / 100);
 }
 
 function inferProvider(model) {
   if (!model) return 'unknown';
   const entry = lookupModel(model);
   if (entry) return entry.provider;
+  return inferProviderFromName(model);
+}
+
+function inferProviderFromName(model) {
   if (model.startsWith('gpt-') || model.startsWith('o1') || model.startsWith('o3') || model.startsWith('o4')) return 'openai';
   if (model.startsWith('claude')) return 'anthropic';
   return 'unknown';
 }
 
-module.exports = { computeCostUSD, inferProvider, lookupModel, PRICING };
+module.exports = {
+  computeCostUSD, inferProvider, lookupModel, PRICING, SERVICE_TIERS,
+  loadPricingFile, pricingTable, pricingFingerprint,
+  getPricingFile: () => overridesFile,
+  getDiscounts:   () => ({ ...discounts }),
+};
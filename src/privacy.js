@@ -0,0 +1,144 @@
+'use strict';
+
+const { getSetting, setSetting, redactStoredText } = require('./db');
+
+/**
+ * What prompt text (and tool-call targets such as Bash commands and file
+ * paths) llm-spend keeps:
+ *
+ *   full      as written — the first 400 characters of each prompt
+ *   redacted  secrets, API keys, emails, file paths and custom patterns masked
+ *   off       nothing — prompt_text and tool targets stay empty
+ *
+ * The mode lives in the settings table under `privacy` as { mode, patterns }
+ * and is applied while parsing, so text never reaches an event, the database
+ * or an export unmasked. Switching to a stricter mode rewrites what is
+ * already stored; text masked earlier cannot be restored by switching back.
+ */
+const MODES        = ['full', 'redacted', 'off'];
+const PROMPT_CHARS = 400;
+const SCAN_CHARS   = 4000; // redact this much, then cut to PROMPT_CHARS
+const MAX_PATTERNS = 50;
+const MAX_PATTERN_CHARS = 200;
+
+// Order matters: whole blocks and credentials first, so later rules see them masked
+const BUILT_IN = [
+  { re: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g, with: '[private key]' },
+  { re: /\b([a-z][a-z0-9+.-]*:\/\/)[^\s:@/]+:[^\s@/]+@/gi,                                  with: '$1[secret]@' },
+  { re: /\b(?:sk-ant-[\w-]{20,}|sk-(?:proj-)?[A-Za-z0-9_-]{20,}|AKIA[0-9A-Z]{16}|AIza[\w-]{35}|gh[pousr]_[A-Za-z0-9]{30,}|github_pat_\w{30,}|glpat-[\w-]{20,}|xox[abprs]-[\w-]{10,})\b/g,
+    with: '[api key]' },
+  { re: /\beyJ[\w-]{10,}\.eyJ[\w-]{10,}\.[\w-]{10,}/g,                                       with: '[token]' },
+  { re: /\b(Bearer\s+)[\w.~+/-]{16,}=*/gi,                                                   with: '$1[token]' },
+  { re: /\b((?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|client[_-]?secret)\w*["']?\s*[:=]\s*)(["']?)[^\s"',;]{4,}\2/gi,
+    with: '$1$2[secret]$2' },
+  { re: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}\b/gi,                                     with: '[email]' },
+  // Absolute (/…, ~/…, C:\…) and relative paths with a directory and an extension; not inside URLs
+  { re: /(?<![\w.:/@\\-])(?:~?\/(?:[\w.@-]+\/)+[\w.@-]+\/?|[A-Za-z]:\\(?:[^\\\s]+\\)*[^\\\s]+|[\w.-][\w.@-]*\/(?:[\w.@-]+\/)*[\w@-]+\.\w+\b)/g,
+    with: '[path]' },
+];
+
+let active = { mode: 'full', patterns: [] };
+let custom = [];
+
+/**
+ * Validate user input; throws with a readable message.
+ * Patterns are regular expressions, written plain or as /source/flags.
+ */
+function normalizePrivacy(input) {
+  if (!input || typeof input !== 'object') throw new Error('Expected { mode, patterns }');
+  if (!MODES.includes(input.mode)) throw new Error(`mode must be one of ${MODES.join(', ')}`);
+  const patterns = input.patterns == null ? [] : input.patterns;
+  if (!Array.isArray(patterns))       throw new Error('patterns must be an array of regular expressions');
+  if (patterns.length > MAX_PATTERNS) throw new Error(`At most ${MAX_PATTERNS} patterns`);
+  const clean = patterns.map(p => String(p).trim()).filter(Boolean);
+  clean.forEach(compilePattern);
+  return { mode: input.mode, patterns: clean };
+}
+
+function compilePattern(pattern) {
+  if (pattern.length > MAX_PATTERN_CHARS) throw new Error(`Patterns are at most ${MAX_PATTERN_CHARS} characters`);
+  const m = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  let re;
+  try {
+    re = m ? new RegExp(m[1], m[2].replace('g', '') + 'g') : new RegExp(pattern, 'g');
+  } catch (err) {
+    throw new Error(`Invalid pattern ${pattern}: ${err.message}`);
+  }
+  if (new RegExp(re.source, re.flags.replace('g', '')).test('')) throw new Error(`Pattern ${pattern} matches empty text`);
+  return re;
+}
+
+function configurePrivacy(config) {
+  active = normalizePrivacy(config || { mode: 'full' });
+  custom = active.patterns.map(compilePattern);
+}
+
+function getPrivacy() {
+  return { ...active };
+}
+
+/**
+ * Mask everything redacted mode hides, whatever the active mode.
+ *
+ * @param {string} text
+ * @param {RegExp[]} [patterns]  custom patterns (default: the configured ones)
+ */
+function redactText(text, patterns = custom) {
+  let out = text;
+  for (const rule of BUILT_IN) out = out.replace(rule.re, rule.with);
+  for (const re of patterns) out = out.replace(re, '[redacted]');
+  return out;
+}
+
+/**
+ * Text as the active mode allows it to be kept — null in off mode.
+ * Prompts are cut to PROMPT_CHARS after masking, so a secret is never half-kept.
+ *
+ * @param {string|null} text
+ * @param {number} [maxChars]
+ */
+function protectText(text, maxChars = PROMPT_CHARS) {
+  if (text == null || active.mode === 'off') return null;
+  if (active.mode === 'full') return text.slice(0, maxChars);
+  return redactText(text.slice(0, Math.max(SCAN_CHARS, maxChars))).slice(0, maxChars);
+}
+
+/**
+ * Load the saved mode (optionally replacing it with --privacy) and, when it
+ * changed since the last run, rewrite stored text to match — the privacy
+ * counterpart of repriceIfChanged.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} [mode]  --privacy override, saved for later runs
+ * @returns {{ mode: string, rewritten: number }}
+ */
+function loadPrivacy(db, mode) {
+  const saved = getSetting(db, 'privacy') || { mode: 'full', patterns: [] };
+  if (mode) {
+    if (!MODES.includes(mode)) throw new Error(`--privacy must be one of ${MODES.join(', ')}`);
+    setSetting(db, 'privacy', normalizePrivacy({ ...saved, mode }));
+  }
+  configurePrivacy(getSetting(db, 'privacy') || saved);
+  return { mode: active.mode, rewritten: applyToStored(db) };
+}
+
+// Replace the setting from the Settings tab / PUT /api/privacy
+function savePrivacy(db, input) {
+  const config = normalizePrivacy(input);
+  setSetting(db, 'privacy', config);
+  configurePrivacy(config);
+  return { ...getPrivacy(), rewritten: applyToStored(db) };
+}
+
+function applyToStored(db) {
+  const fingerprint = JSON.stringify(active);
+  if (getSetting(db, 'privacy_applied') === fingerprint) return 0;
+  const n = active.mode === 'full' ? 0 : redactStoredText(db, text => protectText(text, Infinity));
+  setSetting(db, 'privacy_applied', fingerprint);
+  return n;
+}
+
+module.exports = {
+  MODES, normalizePrivacy, compilePattern, configurePrivacy, getPrivacy,
+  redactText, protectText, loadPrivacy, savePrivacy,
+};
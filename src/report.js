@@ -0,0 +1,239 @@
+'use strict';
+
+const path  = require('path');
+const store = require('./db');
+const { importAll, repriceIfChanged } = require('./parser');
+const { resolveSources } = require('./sources');
+const { loadPricingFile } = require('./pricing');
+const { loadPrivacy } = require('./privacy');
+const { runRetention } = require('./retention');
+const { normalizeTz } = require('./timezone');
+const { attributeCommits } = require('./git');
+
+// ── Column formats ────────────────────────────────────────────────────────────
+const FORMATS = {
+  text: v => (v == null ? '—' : String(v)),
+  int:  v => Math.round(v || 0).toLocaleString('en-US'),
+  usd:  v => '$' + (v || 0).toFixed(v >= 1 ? 2 : 4),
+  time: v => (v ? String(v).slice(0, 16).replace('T', ' ') : '—'),
+};
+
+const TOKEN_COLUMNS = [
+  { key: 'input_tokens',          label: 'Input',       fmt: 'int' },
+  { key: 'output_tokens',         label: 'Output',      fmt: 'int' },
+  { key: 'cache_creation_tokens', label: 'Cache Write', fmt: 'int' },
+  { key: 'cache_read_tokens',     label: 'Cache Read',  fmt: 'int' },
+];
+
+// ── Reports ───────────────────────────────────────────────────────────────────
+const REPORTS = {
+  model: {
+    columns: [
+      { key: 'model',    label: 'Model',    fmt: 'text' },
+      { key: 'provider', label: 'Provider', fmt: 'text' },
+      { key: 'requests', label: 'Requests', fmt: 'int' },
+      ...TOKEN_COLUMNS,
+      { key: 'cost_usd', label: 'Cost',     fmt: 'usd' },
+    ],
+    rows: (db, o) => store.getOverview(db, o.from, o.to, null, o.tz).byModel,
+  },
+  project: {
+    columns: [
+      { key: 'project_path', label: 'Project',  fmt: 'text' },
+      { key: 'sessions',     label: 'Sessions', fmt: 'int' },
+      { key: 'requests',     label: 'Requests', fmt: 'int' },
+      ...TOKEN_COLUMNS,
+      { key: 'cost_usd',     label: 'Cost',     fmt: 'usd' },
+    ],
+    rows: (db, o) => store.getProjects(db, o.from, o.to, null, o.tz),
+  },
+  repo: {
+    columns: [
+      { key: 'project_path', label: 'Repository', fmt: 'text' },
+      { key: 'branches',     label: 'Branches',   fmt: 'int' },
+      { key: 'sessions',     label: 'Sessions',   fmt: 'int' },
+      { key: 'requests',     label: 'Requests',   fmt: 'int' },
+      ...TOKEN_COLUMNS,
+      { key: 'cost_usd',     label: 'Cost',       fmt: 'usd' },
+    ],
+    rows: (db, o) => store.getProjects(db, o.from, o.to, null, o.tz, 'repo'),
+  },
+  branch: {
+    columns: [
+      { key: 'project_path', label: 'Repository', fmt: 'text' },
+      { key: 'git_branch',   label: 'Branch',     fmt: 'text' },
+      { key: 'sessions',     label: 'Sessions',   fmt: 'int' },
+      { key: 'requests',     label: 'Requests',   fmt: 'int' },
+      ...TOKEN_COLUMNS,
+      { key: 'cost_usd',     label: 'Cost',       fmt: 'usd' },
+    ],
+    rows: (db, o) => store.getProjects(db, o.from, o.to, null, o.tz, 'branch'),
+  },
+  user: {
+    columns: [
+      { key: 'user',     label: 'User',     fmt: 'text' },
+      { key: 'hosts',    label: 'Hosts',    fmt: 'text' },
+      { key: 'sessions', label: 'Sessions', fmt: 'int' },
+      { key: 'requests', label: 'Requests', fmt: 'int' },
+      ...TOKEN_COLUMNS,
+      { key: 'cost_usd', label: 'Cost',     fmt: 'usd' },
+    ],
+    rows: (db, o) => store.getUsers(db, o.from, o.to, o.tz),
+  },
+  session: {
+    columns: [
+      { key: 'session_id',   label: 'Session',  fmt: 'text' },
+      { key: 'project_path', label: 'Project',  fmt: 'text' },
+      { key: 'started_at',   label: 'Started',  fmt: 'time' },
+      { key: 'requests',     label: 'Requests', fmt: 'int' },
+      ...TOKEN_COLUMNS,
+      { key: 'cost_usd',     label: 'Cost',     fmt: 'usd' },
+    ],
+    rows: (db, o) => store.getTopSessions(db, o.from, o.to, o.limit || 1e9, null, o.tz),
+  },
+  day: {
+    columns: [
+      { key: 'date',     label: 'Date',     fmt: 'text' },
+      { key: 'requests', label: 'Requests', fmt: 'int' },
+      { key: 'cost_usd', label: 'Cost',     fmt: 'usd' },
+    ],
+    rows: (db, o) => {
+      // Timeseries is per date × model — roll it up to one row per day
+      const days = new Map();
+      for (const r of store.getTimeseries(db, o.from, o.to, 'day', null, o.tz)) {
+        const d = days.get(r.date) || { date: r.date, requests: 0, cost_usd: 0 };
+        d.requests += r.requests;
+        d.cost_usd += r.cost_usd;
+        days.set(r.date, d);
+      }
+      return [...days.values()];
+    },
+  },
+  top: {
+    columns: [
+      { key: 'occurred_at',  label: 'Time',    fmt: 'time' },
+      { key: 'model',        label: 'Model',   fmt: 'text' },
+      { key: 'project_path', label: 'Project', fmt: 'text' },
+      { key: 'session_id',   label: 'Session', fmt: 'text' },
+      ...TOKEN_COLUMNS,
+      { key: 'cost_usd',     label: 'Cost',    fmt: 'usd' },
+    ],
+    rows: (db, o) => store.getEvents(db, { from: o.from, to: o.to, tz: o.tz, sort: 'cost', limit: o.limit || 20 }).rows,
+  },
+  commit: {
+    columns: [
+      { key: 'commit',       label: 'Commit',    fmt: 'text' },
+      { key: 'committed_at', label: 'Committed', fmt: 'time' },
+      { key: 'subject',      label: 'Subject',   fmt: 'text' },
+      { key: 'sessions',     label: 'Sessions',  fmt: 'int' },
+      { key: 'requests',     label: 'Requests',  fmt: 'int' },
+      { key: 'cost_usd',     label: 'Cost',      fmt: 'usd' },
+    ],
+    rows: (db, o) => attributeCommits(db, { since: o.since, repo: o.repo, branch: o.branch, allBranches: o.allBranches }),
+  },
+};
+
+// What `report --by` groups by; top and commit are reports of their own
+const GROUPINGS = ['model', 'project', 'repo', 'branch', 'session', 'user', 'day'];
+
+function normalizeGrouping(by) {
+  if (!GROUPINGS.includes(by)) throw new Error(`--by must be one of ${GROUPINGS.join(', ')}, got "${by}"`);
+  return by;
+}
+
+/**
+ * Import new log lines, then render one report.
+ *
+ * @param {'model'|'project'|'repo'|'branch'|'user'|'session'|'day'|'top'|'commit'} name
+ * @param {object} options
+ * @param {string} [options.claudeDir]
+ * @param {string[]} [options.sources]  --source specs (default: claude-code at claudeDir)
+ * @param {string} [options.dataDir]
+ * @param {string} [options.pricing]  pricing override file (default: <data dir>/pricing.json)
+ * @param {string} [options.privacy]  full | redacted | off — saved for later runs
+ * @param {string} [options.from]    YYYY-MM-DD
+ * @param {string} [options.to]      YYYY-MM-DD
+ * @param {string} [options.tz]      IANA time zone for dates and days (default: UTC)
+ * @param {number} [options.limit]
+ * @param {string} [options.since]   commit report: the revision to attribute from
+ * @param {string} [options.repo]    commit report: a path in the repository (default: cwd)
+ * @param {string} [options.branch]  commit report: default the checked-out branch
+ * @param {boolean} [options.allBranches]
+ * @param {'table'|'json'|'csv'} [options.format]
+ * @returns {Promise<string>}
+ */
+async function runReport(name, options = {}) {
+  const report = REPORTS[name];
+  if (!report) throw new Error(`Unknown report "${name}" — expected one of ${Object.keys(REPORTS).join(', ')}`);
+  options = { ...options, tz: normalizeTz(options.tz) };
+
+  const db   = await openStore(options);
+  const rows = report.rows(db, options);
+
+  if (options.format === 'json') return JSON.stringify(rows, null, 2);
+  if (options.format === 'csv')  return toCSV(report.columns, rows);
+  return toTable(report.columns, rows, name !== 'top');
+}
+
+/**
+ * The db as the dashboard would show it: pricing and privacy applied, retention
+ * enforced and every source's new lines imported. Commands start with this.
+ *
+ * @param {{ dataDir?: string, pricing?: string, privacy?: string, sources?: string[], claudeDir?: string }} options
+ */
+async function openStore(options) {
+  const db = store.getDb(options.dataDir);
+  loadPricingFile(options.pricing || path.join(path.dirname(db.name), 'pricing.json'),
+    { required: !!options.pricing });
+  repriceIfChanged(db);
+  loadPrivacy(db, options.privacy);
+  runRetention(db);
+  await importAll(db, resolveSources(options.sources, options.claudeDir));
+  return db;
+}
+
+// ── Output ────────────────────────────────────────────────────────────────────
+function toTable(columns, rows, withTotal) {
+  if (!rows.length) return 'No usage in this period.';
+
+  const body = rows.map(r => columns.map(c => FORMATS[c.fmt](r[c.key])));
+  if (withTotal) {
+    body.push(columns.map((c, i) => {
+      if (i === 0) return 'Total';
+      if (c.key === 'requests' || c.key === 'cost_usd' || c.key.endsWith('_tokens')) {
+        return FORMATS[c.fmt](rows.reduce((s, r) => s + (r[c.key] || 0), 0));
+      }
+      return '';
+    }));
+  }
+
+  const header = columns.map(c => c.label);
+  const widths = header.map((h, i) => Math.max(h.length, ...body.map(r => r[i].length)));
+  const align  = (cells) => cells.map((v, i) => (
+    columns[i].fmt === 'int' || columns[i].fmt === 'usd' ? v.padStart(widths[i]) : v.padEnd(widths[i])
+  )).join('  ').trimEnd();
+  const rule   = widths.map(w => '─'.repeat(w)).join('  ');
+
+  const lines = [align(header), rule, ...body.map(align)];
+  if (withTotal) lines.splice(lines.length - 1, 0, rule);
+  return lines.join('\n');
+}
+
+function toCSV(columns, rows) {
+  return [
+    csvLine(columns.map(c => c.key)),
+    ...rows.map(r => csvLine(columns.map(c => r[c.key]))),
+  ].join('\n');
+}
+
+// RFC 4180 quoting — only where a value needs it. Text that a spreadsheet would
+// run as a formula (=, +, -, @, tab, CR first) gets a leading ' to keep it text.
+function csvLine(values) {
+  return values.map(v => {
+    let s = v == null ? '' : String(v);
+    if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = "'" + s;
+    return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  }).join(',');
+}
+
+module.exports = { runReport, openStore, csvLine, normalizeGrouping, REPORTS, GROUPINGS };
@@ -0,0 +1,184 @@
+'use strict';
+
+const { getSetting, setSetting, countEvents, deleteEvents, retentionCutoff, applyRetention } = require('./db');
+const { dateBounds, normalizeDate, normalizeTz } = require('./timezone');
+
+/**
+ * Deleting stored usage, two ways:
+ *
+ *   retention  `retention_days` in settings — older events and tool calls are
+ *              deleted at startup and every hour while the server is up
+ *   purge      once, on request — a date range, a project or a session
+ *
+ * Both leave the transcripts on disk alone, so each purge is also recorded
+ * under `purges` and purgedFilter() keeps matching rows out when they are
+ * read again: a re-import after a parser upgrade, or a collector push.
+ * Only rows from before the purge are kept out; later usage of a purged
+ * project or session is recorded as usual.
+ */
+const MAX_RETENTION_DAYS = 36500;
+const RETENTION_EVERY_MS = 3600000;
+
+// ── Validation ────────────────────────────────────────────────────────────────
+
+// Days to keep, or null to keep everything; throws with a readable message
+function normalizeRetention(value) {
+  if (value == null || value === '') return null;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS) {
+    throw new Error(`retention_days must be a whole number of days between 1 and ${MAX_RETENTION_DAYS}, or null`);
+  }
+  return days;
+}
+
+// { from, to, project, session_id } — at least one, so nothing is purged by
+// accident; tz, kept with a date range, is the zone its days are cut in
+function normalizePurge(input) {
+  if (!input || typeof input !== 'object') throw new Error('Expected { from, to, project, session_id }');
+  const out = {};
+  for (const f of ['from', 'to', 'project', 'session_id']) {
+    const v = input[f] == null ? '' : String(input[f]).trim();
+    if (v) out[f] = v;
+  }
+  for (const f of ['from', 'to']) normalizeDate(out[f], f);
+  if (out.from && out.to && out.from > out.to) throw new Error('from is after to');
+  if (!Object.keys(out).length) throw new Error('Pick a date range, a project or a session to purge');
+  const tz = normalizeTz(input.tz);
+  if (tz && (out.from || out.to)) out.tz = tz;
+  return out;
+}
+
+// ── Retention ─────────────────────────────────────────────────────────────────
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ * @returns {{ retention_days: number|null, cutoff: string|null, last_run: object|null, purges: object[] }}
+ */
+function getRetention(db) {
+  return {
+    retention_days: getSetting(db, 'retention_days'),
+    cutoff:         retentionCutoff(db),
+    last_run:       getSetting(db, 'retention_last_run'),
+    purges:         getSetting(db, 'purges') || [],
+  };
+}
+
+// What a retention of `days` would delete right now
+function previewRetention(db, days, now = new Date()) {
+  const before = new Date(now.getTime() - days * 86400000).toISOString();
+  return { retention_days: days, cutoff: before, ...countEvents(db, { before }) };
+}
+
+// Save the setting and apply it at once
+function saveRetention(db, days) {
+  setSetting(db, 'retention_days', normalizeRetention(days));
+  return { ...getRetention(db), deleted: runRetention(db) };
+}
+
+// One retention pass, remembered for the Settings tab; null when none is set
+function runRetention(db, now = new Date()) {
+  const deleted = applyRetention(db, now);
+  if (deleted) {
+    setSetting(db, 'retention_last_run', { at: now.toISOString(), ...deleted });
+    savePurges(db, getSetting(db, 'purges') || [], now);
+  }
+  return deleted;
+}
+
+/**
+ * Run retention now and then every hour until the returned function is called.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {(deleted: object) => void} [onDelete]  called after a pass that deleted events
+ * @returns {() => void} stop
+ */
+function scheduleRetention(db, onDelete, everyMs = RETENTION_EVERY_MS) {
+  const pass = () => {
+    try {
+      const deleted = runRetention(db);
+      if (deleted && deleted.events && onDelete) onDelete(deleted);
+    } catch (err) {
+      console.error('[llm-spend] Error applying retention:', err.message);
+    }
+  };
+  pass();
+  const timer = setInterval(pass, everyMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+// ── Purge ─────────────────────────────────────────────────────────────────────
+
+// Dry run: what purge() would delete
+function previewPurge(db, filter) {
+  return { filter, ...countEvents(db, filter) };
+}
+
+/**
+ * Delete matching events, tool calls and subagent runs, and record the purge.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {object} filter  from normalizePurge()
+ */
+function purge(db, filter, now = new Date()) {
+  const deleted = deleteEvents(db, filter);
+  const record  = { ...filter, purged_at: now.toISOString(), ...deleted };
+  savePurges(db, [...(getSetting(db, 'purges') || []), record], now);
+  return record;
+}
+
+/**
+ * Store the purge records purgedFilter() still needs. A record from before
+ * the retention cutoff only matches rows retention drops anyway, and a later
+ * purge with the same filter matches everything an earlier one did.
+ */
+function savePurges(db, purges, now) {
+  const cutoff = retentionCutoff(db, now);
+  const latest = new Map();
+  for (const p of purges) {
+    if (cutoff && p.purged_at < cutoff) continue;
+    const key = JSON.stringify([p.from, p.to, p.tz, p.project, p.session_id]);
+    latest.delete(key);
+    latest.set(key, p);
+  }
+  setSetting(db, 'purges', [...latest.values()]);
+}
+
+/**
+ * A predicate for rows about to be stored: true when retention or an
+ * earlier purge deleted them. Works on events (occurred_at) and tool calls
+ * (called_at, or result_at for a result whose call was already purged).
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @returns {(row: object) => boolean}
+ */
+function purgedFilter(db) {
+  const cutoff = retentionCutoff(db);
+  const purges = getSetting(db, 'purges') || [];
+  if (!cutoff && !purges.length) return () => false;
+
+  return row => {
+    const at = row.occurred_at || row.called_at || row.result_at;
+    if (!at) return false;
+    if (cutoff && at < cutoff) return true;
+    return purges.some(p => matchesPurge(p, row, at));
+  };
+}
+
+// Same matching as buildEventWhere, limited to rows from before the purge
+function matchesPurge(p, row, at) {
+  const { start, end } = dateBounds(p.from, p.to, p.tz);
+  if (at > p.purged_at)                                return false;
+  if (start && at < start)                             return false;
+  if (end && at >= end)                                return false;
+  if (p.session_id && row.session_id !== p.session_id) return false;
+  if (p.project === 'Unknown')                         return row.project_path == null;
+  if (p.project && row.project_path !== p.project)     return false;
+  return true;
+}
+
+module.exports = {
+  normalizeRetention, normalizePurge,
+  getRetention, previewRetention, saveRetention, runRetention, scheduleRetention,
+  previewPurge, purge, purgedFilter,
+};
@@ -3,242 +3,533 @@
 const express = require('express');
 const path    = require('path');
 const os      = require('os');
-const { loadAllEvents } = require('./parser');
+const { importAll, repriceIfChanged } = require('./parser');
+const { resolveSources, describeSources } = require('./sources');
+const pricing = require('./pricing');
+const { watchProjects } = require('./watcher');
+const { saveBudgets, evaluateBudgets } = require('./budgets');
+const { detectAnomalies } = require('./anomalies');
+const { simulate, normalizeRules } = require('./simulate');
+const { compareUsage, normalizeCompare } = require('./compare');
+const { verifySignature, normalizeBatch, ingestBatch } = require('./collector');
+const { createAuth, sameOrigin } = require('./auth');
+const privacy = require('./privacy');
+const retention = require('./retention');
+const { normalizeTz, normalizeDate, normalizeGranularity } = require('./timezone');
+const { csvLine } = require('./report');
+const metrics = require('./metrics');
+const otlp    = require('./otlp');
+const digest  = require('./digest');
+const store   = require('./db');
 
-// ── In-memory store ───────────────────────────────────────────────────────────
-let cachedEvents   = null;
-let claudeDirGlobal = null;
+// ── Store ─────────────────────────────────────────────────────────────────────
+let db              = null;
+let sourcesGlobal   = [];
+let claudeDirGlobal = null; // watched for live updates; null when Claude Code is not a source
+let collectorGlobal = false;
+let tzGlobal        = null;  // --tz: days of the /metrics today / month gauges
+let exporter        = otlp.createExporter(null); // OTLP export of new events; a no-op unless configured
+let importQueue     = Promise.resolve();
+let importProgress  = { running: false, parsed: 0, total: 0 }; // for GET /api/progress
 
-function getEvents() {
-  if (!cachedEvents) cachedEvents = loadAllEvents(claudeDirGlobal);
-  return cachedEvents;
-}
-
-// ── Date helpers ──────────────────────────────────────────────────────────────
-function filterByDate(events, from, to) {
-  if (!from && !to) return events;
-  const hi = to ? to + 'T23:59:59' : null;
-  return events.filter(e => {
-    if (from && e.occurred_at < from) return false;
-    if (hi   && e.occurred_at > hi)   return false;
-    return true;
+/**
+ * Import new lines (optionally only from `files`) and push what was stored to
+ * the stream. Imports run one at a time: a call made during another one
+ * starts when it finishes.
+ */
+function refresh(files) {
+  const run = importQueue.then(async () => {
+    const inserted = [];
+    importProgress = { running: true, parsed: 0, total: 0 };
+    try {
+      const result = await importAll(db, sourcesGlobal, {
+        files:      files && new Set(files),
+        onInsert:   ev => inserted.push(ev),
+        onProgress: p => { importProgress = { running: true, ...p }; },
+      });
+      recorded(inserted);
+      return result;
+    } finally {
+      importProgress = { ...importProgress, running: false };
+    }
   });
+  importQueue = run.catch(() => {});
+  return run;
 }
 
-// ── Aggregations ──────────────────────────────────────────────────────────────
-function computeOverview(events, from, to) {
-  const filtered = filterByDate(events, from, to);
-
-  const totals = filtered.reduce((acc, e) => {
-    acc.total_requests++;
-    acc.input_tokens          += e.input_tokens;
-    acc.output_tokens         += e.output_tokens;
-    acc.cache_creation_tokens += e.cache_creation_tokens;
-    acc.cache_read_tokens     += e.cache_read_tokens;
-    acc.cost_usd              += e.cost_usd;
-    return acc;
-  }, { total_requests: 0, input_tokens: 0, output_tokens: 0,
-       cache_creation_tokens: 0, cache_read_tokens: 0, cost_usd: 0 });
-
-  const modelMap = new Map();
-  for (const e of filtered) {
-    if (!modelMap.has(e.model)) {
-      modelMap.set(e.model, {
-        model: e.model, provider: e.provider, requests: 0,
-        input_tokens: 0, output_tokens: 0,
-        cache_creation_tokens: 0, cache_read_tokens: 0, cost_usd: 0,
-      });
-    }
-    const m = modelMap.get(e.model);
-    m.requests++;
-    m.input_tokens          += e.input_tokens;
-    m.output_tokens         += e.output_tokens;
-    m.cache_creation_tokens += e.cache_creation_tokens;
-    m.cache_read_tokens     += e.cache_read_tokens;
-    m.cost_usd              += e.cost_usd;
-  }
+// ── Live stream (server-sent events) ──────────────────────────────────────────
+const streamClients = new Set();
 
-  const byModel = [...modelMap.values()].sort((a, b) => b.cost_usd - a.cost_usd);
-  return { totals, byModel };
+function broadcast(event, data) {
+  const msg = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of streamClients) res.write(msg);
 }
 
-function computeTimeseries(events, from, to) {
-  const filtered = filterByDate(events, from, to);
-  const map = new Map();
-  for (const e of filtered) {
-    const date = e.occurred_at.slice(0, 10);
-    const key  = `${date}|${e.model}`;
-    if (!map.has(key)) {
-      map.set(key, { date, model: e.model, provider: e.provider, cost_usd: 0, requests: 0 });
-    }
-    const r = map.get(key);
-    r.cost_usd += e.cost_usd;
-    r.requests++;
-  }
-  return [...map.values()].sort((a, b) => a.date.localeCompare(b.date));
+// Newly stored events: count them for /metrics, export them over OTLP and push them to the stream
+function recorded(events) {
+  if (!events.length) return;
+  for (const ev of events) metrics.recordEvent(ev);
+  exporter.export(events);
+  broadcast('usage', { events });
 }
 
-function computeTopSessions(events, from, to, limit = 20) {
-  const filtered = filterByDate(events, from, to);
-  const map = new Map();
-  for (const e of filtered) {
-    const key = e.session_id || 'unknown';
-    if (!map.has(key)) {
-      map.set(key, {
-        session_id:   e.session_id,
-        project_path: e.project_path,
-        requests: 0,
-        input_tokens: 0, output_tokens: 0,
-        cache_creation_tokens: 0, cache_read_tokens: 0,
-        cost_usd: 0,
-        started_at: e.occurred_at,
-        ended_at:   e.occurred_at,
-        models: new Set(),
-      });
-    }
-    const s = map.get(key);
-    s.requests++;
-    s.input_tokens          += e.input_tokens;
-    s.output_tokens         += e.output_tokens;
-    s.cache_creation_tokens += e.cache_creation_tokens;
-    s.cache_read_tokens     += e.cache_read_tokens;
-    s.cost_usd              += e.cost_usd;
-    if (e.occurred_at < s.started_at) s.started_at = e.occurred_at;
-    if (e.occurred_at > s.ended_at)   s.ended_at   = e.occurred_at;
-    s.models.add(e.model);
-  }
-  return [...map.values()]
-    .sort((a, b) => b.cost_usd - a.cost_usd)
-    .slice(0, limit)
-    .map(s => ({ ...s, models: [...s.models].join(',') }));
+// Deleted events: /metrics counters start over from what is left
+function dropped(deleted) {
+  metrics.loadMetrics(db);
+  broadcast('deleted', deleted);
 }
 
-function computeEvents(events, { page = 1, limit = 50, model, provider, from, to, session_id, sort } = {}) {
-  let f = events;
-  if (from)       f = f.filter(e => e.occurred_at >= from);
-  if (to)         f = f.filter(e => e.occurred_at <= to + 'T23:59:59');
-  if (model)      f = f.filter(e => e.model      === model);
-  if (provider)   f = f.filter(e => e.provider   === provider);
-  if (session_id) f = f.filter(e => e.session_id === session_id);
-
-  // Sort: by cost desc or newest first (default)
-  if (sort === 'cost') {
-    f = [...f].sort((a, b) => b.cost_usd - a.cost_usd);
-  } else {
-    f = [...f].sort((a, b) => b.occurred_at.localeCompare(a.occurred_at));
-  }
+// /api/projects?by= — as logged, rolled up to git repositories, or repository × branch
+const PROJECT_GROUPS = ['path', 'repo', 'branch'];
 
-  const total  = f.length;
-  const offset = (page - 1) * limit;
-  return { rows: f.slice(offset, offset + limit), total, page, limit, pages: Math.ceil(total / limit) };
-}
+// ── Export formats ────────────────────────────────────────────────────────────
+const EXPORT_BATCH = 5000;
 
-function computeProjects(events, from, to) {
-  const filtered = filterByDate(events, from, to);
-  const map = new Map();
-  for (const e of filtered) {
-    const key = e.project_path || 'Unknown';
-    if (!map.has(key)) {
-      map.set(key, { project_path: key, requests: 0, cost_usd: 0,
-        input_tokens: 0, output_tokens: 0, cache_read_tokens: 0,
-        cache_creation_tokens: 0, sessions: new Set() });
-    }
-    const p = map.get(key);
-    p.requests++;
-    p.cost_usd              += e.cost_usd;
-    p.input_tokens          += e.input_tokens;
-    p.output_tokens         += e.output_tokens;
-    p.cache_read_tokens     += e.cache_read_tokens;
-    p.cache_creation_tokens += e.cache_creation_tokens;
-    if (e.session_id) p.sessions.add(e.session_id);
-  }
-  return [...map.values()]
-    .sort((a, b) => b.cost_usd - a.cost_usd)
-    .map(p => ({ ...p, sessions: p.sessions.size }));
-}
+const EXPORT_TYPES = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    head: csvLine(store.EXPORT_COLUMNS) + '\n',
+    row:  r => csvLine(store.EXPORT_COLUMNS.map(c => r[c])) + '\n',
+    tail: '',
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    head: '[',
+    row:  (r, first) => (first ? '\n' : ',\n') + JSON.stringify(r),
+    tail: '\n]\n',
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    head: '',
+    row:  r => JSON.stringify(r) + '\n',
+    tail: '',
+  },
+};
 
 // ── Express app ───────────────────────────────────────────────────────────────
 function createApp(options = {}) {
-  claudeDirGlobal = options.claudeDir || path.join(os.homedir(), '.claude');
-
-  // Load on startup
-  try {
-    cachedEvents = loadAllEvents(claudeDirGlobal);
-    console.log(`[llm-spend] Loaded ${cachedEvents.length} events from ${claudeDirGlobal}`);
-  } catch (err) {
-    console.error('[llm-spend] Error loading events:', err.message);
-    cachedEvents = [];
+  if (options.collector && !options.collector.secret) {
+    throw new Error('--collector needs --secret or the LLM_SPEND_SECRET environment variable');
   }
+  const auth = createAuth(options.auth);
+  exporter   = otlp.createExporter(otlp.normalizeOtlp(options.otlp));
+  sourcesGlobal   = resolveSources(options.sources, options.claudeDir || path.join(os.homedir(), '.claude'));
+  const claude    = sourcesGlobal.find(s => s.adapter.name === 'claude-code');
+  claudeDirGlobal = claude ? claude.root : null;
+  db = store.getDb(options.dataDir);
+
+  // --pricing must exist; the default <data dir>/pricing.json is optional
+  pricing.loadPricingFile(options.pricing || path.join(path.dirname(db.name), 'pricing.json'),
+    { required: !!options.pricing });
+  const repriced = repriceIfChanged(db);
+  if (repriced) console.log(`[llm-spend] Pricing changed — repriced ${repriced} stored events`);
+  const { mode, rewritten } = privacy.loadPrivacy(db, options.privacy);
+  if (rewritten) console.log(`[llm-spend] Privacy mode ${mode} — rewrote ${rewritten} stored prompts and tool targets`);
+  metrics.loadMetrics(db);
+
+  // Import new log lines on startup, in the background — the dashboard shows progress
+  // from GET /api/progress. Earlier history is already in the db.
+  refresh()
+    .then(r => {
+      const from = describeSources(sourcesGlobal).map(s => `${s.name} (${s.path})`).join(', ');
+      console.log(`[llm-spend] Imported ${r.eventsInserted} new events from ${r.filesImported}/${r.filesScanned} files in ${from}`);
+    })
+    .catch(err => console.error('[llm-spend] Error importing events:', err.message));
 
   const app = express();
+  app.use(sameOrigin);
+
+  // Collector: signed batches from `llm-spend push`. Mounted before express.json()
+  // because the signature covers the raw body.
+  collectorGlobal = !!options.collector;
+  tzGlobal        = normalizeTz(options.tz);
+  if (options.collector) {
+    const { secret } = options.collector;
+    app.post('/api/ingest', express.raw({ type: () => true, limit: '50mb' }), (req, res) => {
+      const raw = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      try {
+        verifySignature(secret, req.headers, raw);
+      } catch (err) { return res.status(401).json({ error: err.message }); }
+      let batch;
+      try {
+        batch = normalizeBatch(JSON.parse(raw.toString('utf8')));
+      } catch (err) { return res.status(400).json({ error: err.message }); }
+      try {
+        const inserted = [];
+        const result = ingestBatch(db, batch, ev => inserted.push(ev));
+        recorded(inserted);
+        res.json({ ...result, ok: true });
+      } catch (err) { res.status(500).json({ error: err.message }); }
+    });
+  }
+
   app.use(express.json());
 
   const publicDir = path.join(__dirname, 'public');
+
+  // Sign-in — the only pages served before auth.middleware
+  app.get('/login', (req, res) => {
+    if (!auth.enabled) return res.redirect('/');
+    res.sendFile(path.join(publicDir, 'login.html'));
+  });
+
+  app.post('/login', express.urlencoded({ extended: false }), (req, res) => {
+    const session = auth.enabled && auth.login(String((req.body && req.body.token) || ''));
+    if (!session) return res.redirect(303, '/login?error=1');
+    res.cookie(auth.cookie, session.id, auth.cookieOptions(req));
+    res.redirect(303, '/');
+  });
+
+  app.use(auth.middleware);
+
+  app.post('/logout', (req, res) => {
+    auth.logout(req);
+    res.clearCookie(auth.cookie, { path: '/' });
+    res.json({ ok: true });
+  });
+
+  // Prometheus / OpenMetrics scrape target; behind sign-in like the API (send the read token)
+  // ?tz= overrides --tz for the day-based gauges
+  app.get('/metrics', (req, res) => {
+    let tz;
+    try {
+      tz = req.query.tz ? normalizeTz(req.query.tz) : tzGlobal;
+    } catch (err) { return res.status(400).json({ error: err.message }); }
+    try {
+      const { contentType, body } = metrics.renderMetrics(db, { openMetrics: metrics.wantsOpenMetrics(req.get('accept')), tz });
+      res.set('Content-Type', contentType).end(body);
+    } catch (err) { res.status(500).json({ error: err.message }); }
+  });
+
+  // Who the SPA is talking as, and the CSRF token its writes must carry
+  app.get('/api/session', (req, res) => {
+    const { role, session } = req.auth;
+    res.json({ auth: auth.enabled, role, csrf_token: session ? session.csrf : null });
+  });
+
   app.use(express.static(publicDir));
 
+  // from / to / tz / granularity mean the same on every route that takes them;
+  // checked once here so a bad value is a 400 rather than an empty result
+  app.use('/api', (req, res, next) => {
+    try {
+      for (const f of ['from', 'to']) normalizeDate(req.query[f], f);
+      req.tz          = normalizeTz(req.query.tz);
+      req.granularity = normalizeGranularity(req.query.granularity);
+    } catch (err) { return res.status(400).json({ error: err.message }); }
+    next();
+  });
+
   // Overview
   app.get('/api/overview', (req, res) => {
     try {
-      const { from, to } = req.query;
-      res.json(computeOverview(getEvents(), from, to));
+      const { from, to, user } = req.query;
+      res.json(store.getOverview(db, from, to, user, req.tz));
     } catch (err) { res.status(500).json({ error: err.message }); }
   });
 
-  // Timeseries
+  // Timeseries — cost per model per hour / day / week / month bucket
   app.get('/api/timeseries', (req, res) => {
     try {
-      const { from, to } = req.query;
-      res.json(computeTimeseries(getEvents(), from, to));
+      const { from, to, user } = req.query;
+      res.json(store.getTimeseries(db, from, to, req.granularity, user, req.tz));
+    } catch (err) { res.status(500).json({ error: err.message }); }
+  });
+
+  // Spend by weekday × hour of day
+  app.get('/api/heatmap', (req, res) => {
+    try {
+      const { from, to, user } = req.query;
+      res.json(store.getHeatmap(db, from, to, user, req.tz));
+    } catch (err) { res.status(500).json({ error: err.message }); }
+  });
+
+  // Two filter sets side by side: a[from]=…&a[to]=…&b[project]=… (see compare.js)
+  app.get('/api/compare', (req, res) => {
+    let sides;
+    try {
+      sides = normalizeCompare(req.query);
+    } catch (err) { return res.status(400).json({ error: err.message }); }
+    try {
+      res.json(compareUsage(db, sides, { tz: req.tz, granularity: req.granularity }));
     } catch (err) { res.status(500).json({ error: err.message }); }
   });
 
   // Sessions
   app.get('/api/sessions', (req, res) => {
     try {
-      const { from, to, limit } = req.query;
-      res.json(computeTopSessions(getEvents(), from, to, limit ? parseInt(limit) : 20));
+      const { from, to, limit, user } = req.query;
+      res.json(store.getTopSessions(db, from, to, limit ? parseInt(limit) : 20, user, req.tz));
+    } catch (err) { res.status(500).json({ error: err.message }); }
+  });
+
+  // Drill-down: every request in the session, in order
+  app.get('/api/sessions/:id', (req, res) => {
+    try {
+      const detail = store.getSessionDetail(db, req.params.id);
+      if (!detail) return res.status(404).json({ error: 'Session not found' });
+      res.json(detail);
+    } catch (err) { res.status(500).json({ error: err.message }); }
+  });
+
+  // Cost tree: the session's own requests and one node per subagent run
+  app.get('/api/sessions/:id/tree', (req, res) => {
+    try {
+      const { from, to } = req.query;
+      res.json(store.getSessionTree(db, req.params.id, from, to, req.tz));
     } catch (err) { res.status(500).json({ error: err.message }); }
   });
 
   // Events (paginated explorer, supports sort=cost)
   app.get('/api/events', (req, res) => {
     try {
-      const { page, limit, model, provider, from, to, session_id, sort } = req.query;
-      res.json(computeEvents(getEvents(), {
+      const { page, limit, model, provider, from, to, session_id, project, user, sort } = req.query;
+      res.json(store.getEvents(db, {
         page:  page  ? parseInt(page)  : 1,
         limit: limit ? parseInt(limit) : 50,
-        model, provider, from, to, session_id, sort,
+        model, provider, from, to, tz: req.tz, session_id, project, user, sort,
       }));
     } catch (err) { res.status(500).json({ error: err.message }); }
   });
 
+  // Export — same filters as /api/events, streamed as csv | json | ndjson
+  app.get('/api/export', async (req, res) => {
+    const { format = 'csv', model, provider, from, to, session_id, project, user } = req.query;
+    const type = EXPORT_TYPES[format];
+    if (!type) return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_TYPES).join(', ')}` });
+
+    const filters = { model, provider, from, to, tz: req.tz, session_id, project, user };
+    const stamp   = new Date().toISOString().slice(0, 10);
+    try {
+      // attachment() guesses a type from the extension — set ours after it
+      res.attachment(`llm-spend-${stamp}.${format}`);
+      res.set('Content-Type', type.contentType);
+      res.write(type.head);
+
+      // Batches keep memory flat and leave the db free for other requests between them
+      let first = true;
+      for (let offset = 0; !res.destroyed; offset += EXPORT_BATCH) {
+        const rows = store.exportData(db, filters, { limit: EXPORT_BATCH, offset });
+        let chunk = '';
+        for (const row of rows) {
+          chunk += type.row(row, first);
+          first = false;
+        }
+        if (chunk && !res.write(chunk)) await new Promise(r => res.once('drain', r));
+        if (rows.length < EXPORT_BATCH) break;
+      }
+      res.end(type.tail);
+    } catch (err) {
+      if (res.headersSent) res.destroy(err);
+      else res.status(500).json({ error: err.message });
+    }
+  });
+
   // Models list
   app.get('/api/models', (req, res) => {
     try {
-      const models = [...new Set(getEvents().map(e => e.model))].sort();
-      res.json(models);
+      res.json(store.getModels(db));
     } catch (err) { res.status(500).json({ error: err.message }); }
   });
 
-  // Refresh — re-read from disk
-  app.post('/api/refresh', (req, res) => {
+  // Live usage stream — `usage` events carry newly imported rows
+  app.get('/api/stream', (req, res) => {
+    res.set({
+      'Content-Type':  'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection':    'keep-alive',
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    // Comment line keeps proxies and idle timeouts from dropping the connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+    streamClients.add(res);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      streamClients.delete(res);
+    });
+  });
+
+  // Refresh — import lines appended since the last import
+  app.post('/api/refresh', async (req, res) => {
     try {
-      cachedEvents = loadAllEvents(claudeDirGlobal);
-      res.json({ events: cachedEvents.length, ok: true });
+      res.json({ ...(await refresh()), ok: true });
     } catch (err) { res.status(500).json({ error: err.message }); }
   });
 
+  // Import progress — { running, parsed, total } files — for the loading screen
+  app.get('/api/progress', (req, res) => {
+    res.json(importProgress);
+  });
+
   // Projects breakdown
   app.get('/api/projects', (req, res) => {
+    try {
+      const { from, to, user, by = 'path' } = req.query;
+      if (!PROJECT_GROUPS.includes(by)) return res.status(400).json({ error: `by must be one of ${PROJECT_GROUPS.join(', ')}` });
+      res.json(store.getProjects(db, from, to, user, req.tz, by));
+    } catch (err) { res.status(500).json({ error: err.message }); }
+  });
+
+  // Spend per user — events pushed to this collector, plus this machine's own as "local"
+  app.get('/api/users', (req, res) => {
     try {
       const { from, to } = req.query;
-      res.json(computeProjects(getEvents(), from, to));
+      res.json(store.getUsers(db, from, to, req.tz));
+    } catch (err) { res.status(500).json({ error: err.message }); }
+  });
+
+  // Tools ranked by the input tokens their results cause later in the session
+  app.get('/api/tools', (req, res) => {
+    try {
+      const { from, to, project, user, limit } = req.query;
+      res.json(store.getTools(db, { from, to, project, user, tz: req.tz, limit: limit ? parseInt(limit) : 15 }));
+    } catch (err) { res.status(500).json({ error: err.message }); }
+  });
+
+  // Cost outliers, runaway sessions and prompt loops (default: last 7 days)
+  app.get('/api/anomalies', (req, res) => {
+    try {
+      const { from, to, user } = req.query;
+      res.json(detectAnomalies(db, { from, to, user, tz: req.tz }));
+    } catch (err) { res.status(500).json({ error: err.message }); }
+  });
+
+  // What-if: reprice the filtered events under model / caching rules
+  app.post('/api/simulate', (req, res) => {
+    const { filters = {}, rules } = req.body || {};
+    let normalized, tz;
+    try {
+      normalized = normalizeRules(rules);
+      for (const f of ['from', 'to']) normalizeDate(filters[f], f);
+      tz = normalizeTz(filters.tz);
+    } catch (err) { return res.status(400).json({ error: err.message }); }
+    try {
+      const { from, to, project, model, provider, user } = filters;
+      res.json(simulate(db, { from, to, tz, project, model, provider, user }, normalized));
+    } catch (err) { res.status(500).json({ error: err.message }); }
+  });
+
+  // Budgets — spend vs. limit for the current period, with end-of-period forecast
+  app.get('/api/budgets', (req, res) => {
+    try {
+      res.json(evaluateBudgets(db, new Date(), req.tz));
+    } catch (err) { res.status(500).json({ error: err.message }); }
+  });
+
+  // Replace the whole budget list
+  app.put('/api/budgets', (req, res) => {
+    try {
+      saveBudgets(db, req.body);
+    } catch (err) { return res.status(400).json({ error: err.message }); }
+    try {
+      res.json(evaluateBudgets(db, new Date(), req.tz));
+    } catch (err) { res.status(500).json({ error: err.message }); }
+  });
+
+  // Pricing — active price list and models it doesn't cover (those cost $0)
+  app.get('/api/pricing', (req, res) => {
+    try {
+      const { byModel } = store.getOverview(db);
+      res.json({
+        file:      pricing.getPricingFile(),
+        discounts: pricing.getDiscounts(),
+        entries:   pricing.pricingTable(),
+        unmatched: byModel.filter(m => !pricing.lookupModel(m.model)),
+      });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+  });
+
+  // Privacy mode for prompt text and tool targets
+  app.get('/api/privacy', (req, res) => {
+    res.json({ ...privacy.getPrivacy(), modes: privacy.MODES });
+  });
+
+  // Switching to a stricter mode also rewrites what is already stored
+  app.put('/api/privacy', (req, res) => {
+    let config;
+    try {
+      config = privacy.normalizePrivacy(req.body);
+    } catch (err) { return res.status(400).json({ error: err.message }); }
+    try {
+      res.json(privacy.savePrivacy(db, config));
+    } catch (err) { res.status(500).json({ error: err.message }); }
+  });
+
+  // Try redaction (and unsaved custom patterns) on sample text
+  app.post('/api/privacy/preview', (req, res) => {
+    const { text, patterns } = req.body || {};
+    try {
+      if (typeof text !== 'string') throw new Error('text must be a string');
+      const custom = patterns == null ? undefined
+        : privacy.normalizePrivacy({ mode: 'redacted', patterns }).patterns.map(privacy.compilePattern);
+      res.json({ text: privacy.redactText(text, custom) });
+    } catch (err) { res.status(400).json({ error: err.message }); }
+  });
+
+  // Data retention — the setting, its last run, past purges, and what `days` would delete
+  app.get('/api/retention', (req, res) => {
+    let days;
+    try {
+      days = retention.normalizeRetention(req.query.days);
+    } catch (err) { return res.status(400).json({ error: err.message }); }
+    try {
+      const current = retention.getRetention(db);
+      days = days || current.retention_days;
+      res.json({ ...current, preview: days ? retention.previewRetention(db, days) : null });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+  });
+
+  // Set retention_days (null keeps everything); applied at once
+  app.put('/api/retention', (req, res) => {
+    let days;
+    try {
+      days = retention.normalizeRetention((req.body || {}).retention_days);
+    } catch (err) { return res.status(400).json({ error: err.message }); }
+    try {
+      const result = retention.saveRetention(db, days);
+      if (result.deleted && result.deleted.events) dropped(result.deleted);
+      res.json(result);
+    } catch (err) { res.status(500).json({ error: err.message }); }
+  });
+
+  // Purge a date range, project or session; ?dry_run=1 only counts
+  app.delete('/api/events', (req, res) => {
+    let filter;
+    try {
+      filter = retention.normalizePurge(req.query);
+    } catch (err) { return res.status(400).json({ error: err.message }); }
+    try {
+      if (req.query.dry_run === '1' || req.query.dry_run === 'true') {
+        return res.json({ dry_run: true, ...retention.previewPurge(db, filter) });
+      }
+      const result = retention.purge(db, filter);
+      if (result.events) dropped(result);
+      res.json({ dry_run: false, ...result });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+  });
+
+  // Preview of the daily or weekly digest as it would be sent now
+  app.get('/api/digest', (req, res) => {
+    const { period = 'daily' } = req.query;
+    if (!digest.PERIODS.includes(period)) return res.status(400).json({ error: `period must be one of ${digest.PERIODS.join(', ')}` });
+    try {
+      res.json(digest.buildDigest(db, { period, tz: req.tz }));
     } catch (err) { res.status(500).json({ error: err.message }); }
   });
 
   // Settings (read-only info)
   app.get('/api/settings', (req, res) => {
-    res.json({ claude_data_dir: claudeDirGlobal });
+    res.json({
+      claude_data_dir: claudeDirGlobal,
+      sources:         describeSources(sourcesGlobal),
+      database:        db.name,
+      collector:       collectorGlobal,
+      auth:            auth.enabled,
+      privacy:         privacy.getPrivacy().mode,
+      retention_days:  store.getSetting(db, 'retention_days'),
+    });
   });
 
   // SPA fallback
@@ -250,13 +541,51 @@ function createApp(options = {}) {
 }
 
 function startServer(options = {}) {
-  const { port = 3000, open: openBrowser = true, claudeDir } = options;
-  const app = createApp({ claudeDir });
+  const {
+    port = 3000, bind = '127.0.0.1', open: openBrowser = true,
+    claudeDir, sources, dataDir, pricing: pricingFile, collector, auth, privacy: privacyMode, otlp: otlpOptions,
+    digest: digestOptions, tz, watch = true,
+  } = options;
 
   return new Promise((resolve, reject) => {
-    const server = app.listen(port, '127.0.0.1', async () => {
-      const url = `http://localhost:${port}`;
+    // Thrown setup errors (bad --source, --pricing, --otlp-*, --digest-*, --tz, --collector without a secret, short tokens) reject instead of escaping
+    const digests = digest.normalizeDigest(digestOptions);
+    const app = createApp({ claudeDir, sources, dataDir, pricing: pricingFile, collector, auth, privacy: privacyMode, otlp: otlpOptions, tz });
+    const server = app.listen(port, bind, async () => {
+      // Other sources are picked up on startup and POST /api/refresh
+      if (watch && claudeDirGlobal) {
+        const stopWatching = watchProjects(claudeDirGlobal, files => {
+          refresh(files).catch(err => console.error('[llm-spend] Error importing changes:', err.message));
+        });
+        server.on('close', stopWatching);
+      }
+      const stopRetention = retention.scheduleRetention(db, deleted => {
+        console.log(`[llm-spend] Retention — deleted ${deleted.events} events older than ${store.getSetting(db, 'retention_days')} days`);
+        dropped(deleted);
+      });
+      server.on('close', stopRetention);
+      if (digests) {
+        // After the startup import, so the first digest sees everything up to now
+        let stopDigests = null;
+        importQueue.then(() => { if (server.listening) stopDigests = digest.scheduleDigests(db, digests); });
+        server.on('close', () => stopDigests && stopDigests());
+      }
+      const loopback = bind === '127.0.0.1' || bind === 'localhost';
+      const host     = loopback || bind === '0.0.0.0' || bind === '::' ? 'localhost' : bind.includes(':') ? `[${bind}]` : bind;
+      const url      = `http://${host}:${port}`;
       console.log(`llm-spend running at ${url}`);
+      if (!loopback) console.log(`[llm-spend] Listening on ${bind} — reachable from other machines`);
+      if (!loopback && !(auth && auth.adminToken)) {
+        console.warn('[llm-spend] Warning: no --admin-token — anyone who can reach this port can read your usage and prompts');
+      }
+      if (collector) console.log(`[llm-spend] Collector mode — accepting signed batches at POST /api/ingest`);
+      if (digests) {
+        console.log(`[llm-spend] Sending ${digests.periods.join(' and ')} digests at ${digests.at} ${digests.tz || 'UTC'} to ${digests.sinks.map(sk => sk.kind).join(', ')}`);
+      }
+      if (exporter.enabled) {
+        const { endpoint, signal } = otlp.normalizeOtlp(otlpOptions);
+        console.log(`[llm-spend] Exporting new usage over OTLP (${signal}) to ${endpoint}`);
+      }
       if (openBrowser) {
         const open_ = await import('open');
         open_.default(url).catch(() => {});
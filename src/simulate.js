@@ -0,0 +1,116 @@
+'use strict';
+
+const { iteratePricingRows } = require('./db');
+const { computeCostUSD, lookupModel } = require('./pricing');
+
+/**
+ * What-if repricing. Rules are applied in order to every event in the filter
+ * and the result is priced with computeCostUSD, exactly like real usage:
+ *
+ *   { type: 'model', from: 'opus', to: 'claude-sonnet-4-5', max_output_tokens: 2000 }
+ *       run matching requests (model name contains `from`) on another model;
+ *       max_output_tokens limits it to short answers
+ *   { type: 'model', subagents: true, to: 'claude-haiku-4-5' }
+ *       run Task-tool subagents on another model (`from` optional)
+ *   { type: 'cache_hit', pct: 80 }
+ *       serve this share of each prompt from cache; the rest keeps its
+ *       original split between fresh input and cache writes
+ */
+const RULE_TYPES = ['model', 'cache_hit'];
+
+// Throws with a readable message on the first bad rule
+function normalizeRules(input) {
+  if (!Array.isArray(input) || !input.length) throw new Error('Expected a non-empty array of rules');
+  return input.map(r => {
+    if (!r || !RULE_TYPES.includes(r.type)) throw new Error(`rule type must be one of ${RULE_TYPES.join(', ')}`);
+    if (r.type === 'cache_hit') {
+      const pct = Number(r.pct);
+      if (!(pct >= 0 && pct <= 100)) throw new Error('cache_hit pct must be between 0 and 100');
+      return { type: 'cache_hit', pct };
+    }
+    const to = String(r.to || '').trim();
+    if (!to)               throw new Error('model rules need a target model ("to")');
+    if (!lookupModel(to))  throw new Error(`No price for "${to}" — pick a model from the price list`);
+    const from = r.from ? String(r.from).trim() : null;
+    if (!from && !r.subagents) throw new Error('model rules need "from" or "subagents": true');
+    const maxOut = r.max_output_tokens == null || r.max_output_tokens === '' ? null : Number(r.max_output_tokens);
+    if (maxOut != null && !(maxOut > 0)) throw new Error('max_output_tokens must be a positive number');
+    return { type: 'model', from, to, subagents: !!r.subagents, max_output_tokens: maxOut };
+  });
+}
+
+function applyRule(ev, rule) {
+  if (rule.type === 'cache_hit') {
+    const prompt = ev.input_tokens + ev.cache_creation_tokens + ev.cache_read_tokens;
+    const cached = Math.round(prompt * rule.pct / 100);
+    const rest   = prompt - cached;
+    const fresh  = ev.input_tokens + ev.cache_creation_tokens;
+    const input  = fresh ? Math.round(rest * ev.input_tokens / fresh) : rest;
+    const writes = rest - input;
+    return {
+      ...ev,
+      input_tokens:             input,
+      cache_creation_tokens:    writes,
+      cache_read_tokens:        cached,
+      cache_creation_1h_tokens: Math.min(ev.cache_creation_1h_tokens, writes),
+    };
+  }
+  if (rule.subagents && !(ev.agent_id || ev.source === 'claude-code-subagent')) return ev;
+  if (rule.from && !ev.model.includes(rule.from)) return ev;
+  if (rule.max_output_tokens != null && ev.output_tokens >= rule.max_output_tokens) return ev;
+  return { ...ev, model: rule.to };
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ * @param {object} filters  from, to, project, model, provider (as for /api/events)
+ * @param {object[]} rules  already normalized
+ */
+function simulate(db, filters, rules) {
+  const totals    = blank();
+  const projects  = new Map();
+  const switches  = new Map(); // "from → to" model changes
+
+  for (const ev of iteratePricingRows(db, filters)) {
+    const sim  = rules.reduce(applyRule, ev);
+    const cost = computeCostUSD(sim.model, sim.input_tokens, sim.output_tokens,
+      sim.cache_creation_tokens, sim.cache_read_tokens, sim);
+    const changed = sim.model !== ev.model || sim.cache_read_tokens !== ev.cache_read_tokens;
+
+    const project = ev.project_path || 'Unknown';
+    if (!projects.has(project)) projects.set(project, { project_path: project, ...blank() });
+    for (const t of [totals, projects.get(project)]) add(t, ev.cost_usd, cost, changed);
+
+    if (sim.model !== ev.model) {
+      const key = `${ev.model}\u0000${sim.model}`;
+      if (!switches.has(key)) switches.set(key, { from_model: ev.model, to_model: sim.model, ...blank() });
+      add(switches.get(key), ev.cost_usd, cost, true);
+    }
+  }
+
+  return {
+    filters,
+    rules,
+    totals:     finish(totals),
+    by_project: [...projects.values()].map(finish).sort((a, b) => b.savings_usd - a.savings_usd),
+    by_model:   [...switches.values()].map(finish).sort((a, b) => b.savings_usd - a.savings_usd),
+  };
+}
+
+function blank() {
+  return { requests: 0, changed_requests: 0, actual_cost_usd: 0, simulated_cost_usd: 0 };
+}
+
+function add(t, actual, simulated, changed) {
+  t.requests++;
+  if (changed) t.changed_requests++;
+  t.actual_cost_usd    += actual;
+  t.simulated_cost_usd += simulated;
+}
+
+function finish(t) {
+  const savings = t.actual_cost_usd - t.simulated_cost_usd;
+  return { ...t, savings_usd: savings, savings_pct: t.actual_cost_usd > 0 ? savings / t.actual_cost_usd * 100 : 0 };
+}
+
+module.exports = { simulate, normalizeRules };
@@ -0,0 +1,116 @@
+'use strict';
+
+const crypto = require('crypto');
+const { listLogFiles, readNewLines } = require('../parser');
+const { computeCostUSD, inferProvider } = require('../pricing');
+
+/**
+ * NDJSON request logs written by your own OpenAI or Anthropic API clients.
+ * Each line is either a raw response body or a wrapper around one:
+ *
+ *   { "timestamp": "...", "project": "...", "session_id": "...",
+ *     "request": { "model": "..." }, "response": { "id": "...", "model": "...", "usage": {...} } }
+ *
+ * Usage may be OpenAI Chat Completions (prompt_tokens), OpenAI Responses
+ * (input_tokens + input_tokens_details) or Anthropic Messages. Prompt text is
+ * never read from these logs.
+ */
+function parseFile(filePath, projectPath, events, resume = {}) {
+  const read = readNewLines(filePath, resume.offset);
+  if (!read) return null;
+  const { lines, restarted } = read;
+
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (!line) continue;
+
+    let obj;
+    try { obj = JSON.parse(line); } catch { continue; }
+    const body  = obj.response || obj;
+    const model = body.model || (obj.request && obj.request.model);
+    if (!body.usage || !model) continue;
+
+    const tokens     = normalizeUsage(body.usage);
+    const occurredAt = timestampOf(obj, body);
+    const details    = {
+      occurred_at:              occurredAt,
+      cache_creation_1h_tokens: tokens.cache_creation_1h_tokens,
+      service_tier:             body.service_tier || tokens.service_tier,
+    };
+
+    events.push({
+      provider:              inferProvider(model),
+      model,
+      session_id:            obj.session_id || null,
+      project_path:          projectPath || obj.project || null,
+      request_id:            body.id || lineId(line),
+      occurred_at:           occurredAt,
+      input_tokens:          tokens.input_tokens,
+      output_tokens:         tokens.output_tokens,
+      cache_creation_tokens: tokens.cache_creation_tokens,
+      cache_read_tokens:     tokens.cache_read_tokens,
+      cache_creation_1h_tokens: tokens.cache_creation_1h_tokens,
+      service_tier:          details.service_tier,
+      cost_usd:              computeCostUSD(model, tokens.input_tokens, tokens.output_tokens,
+        tokens.cache_creation_tokens, tokens.cache_read_tokens, details),
+      source:                'api-log',
+      prompt_text:           null,
+    });
+  }
+
+  return { offset: read.offset, lines: read.count, state: null, restarted };
+}
+
+// Id for a response that carries none: the line itself (timestamp included), so
+// re-reading a rotated or truncated log doesn't collide with lines already stored
+function lineId(line) {
+  return 'line:' + crypto.createHash('sha256').update(line).digest('hex').slice(0, 32);
+}
+
+// OpenAI counts cached tokens inside the prompt total; Anthropic reports them apart
+function normalizeUsage(u) {
+  if (u.prompt_tokens != null) {
+    const cached = (u.prompt_tokens_details && u.prompt_tokens_details.cached_tokens) || 0;
+    return tokenCounts(u.prompt_tokens - cached, u.completion_tokens, 0, cached);
+  }
+  if (u.input_tokens_details) {
+    const cached = u.input_tokens_details.cached_tokens || 0;
+    return tokenCounts(u.input_tokens - cached, u.output_tokens, 0, cached);
+  }
+  const breakdown = u.cache_creation || {};
+  const write1h   = breakdown.ephemeral_1h_input_tokens || 0;
+  return {
+    ...tokenCounts(u.input_tokens, u.output_tokens,
+      u.cache_creation_input_tokens ?? ((breakdown.ephemeral_5m_input_tokens || 0) + write1h),
+      u.cache_read_input_tokens),
+    cache_creation_1h_tokens: write1h,
+    service_tier:             u.service_tier || null,
+  };
+}
+
+function tokenCounts(input, output, cacheWrite, cacheRead) {
+  return {
+    input_tokens:             Math.max(input || 0, 0),
+    output_tokens:            output     || 0,
+    cache_creation_tokens:    cacheWrite || 0,
+    cache_read_tokens:        cacheRead  || 0,
+    cache_creation_1h_tokens: 0,
+    service_tier:             null,
+  };
+}
+
+// Wrapper timestamp, then the response's own (Responses API: created_at, Chat: created — both epoch seconds)
+function timestampOf(obj, body) {
+  const given = obj.timestamp && new Date(obj.timestamp);
+  if (given && !isNaN(given)) return given.toISOString();
+  const secs = body.created_at || body.created;
+  if (typeof secs === 'number') return new Date(secs * 1000).toISOString();
+  return new Date().toISOString();
+}
+
+module.exports = {
+  name:        'api-log',
+  defaultRoot: () => null,
+  listFiles:   (root) => listLogFiles(root, ['.ndjson', '.jsonl', '.log']),
+  parseFile,
+};
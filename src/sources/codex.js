@@ -0,0 +1,99 @@
+'use strict';
+
+const os   = require('os');
+const path = require('path');
+const { listLogFiles, readNewLines, extractHumanText } = require('../parser');
+const { computeCostUSD, inferProvider } = require('../pricing');
+
+/**
+ * OpenAI Codex CLI session logs (~/.codex/sessions/YYYY/MM/DD/rollout-*.jsonl).
+ *
+ * Each rollout starts with a session_meta line (session id, cwd, git branch); turn_context
+ * lines carry the model in use; event_msg lines of type token_count report
+ * the usage of the last model call. Codex counts cached input inside
+ * input_tokens, so it is split out here to match the Anthropic-style columns.
+ */
+function parseFile(filePath, projectPath, events, resume = {}) {
+  const read = readNewLines(filePath, resume.offset);
+  if (!read) return null;
+  const { lines, restarted } = read;
+
+  const prev  = (!restarted && resume.state) || {};
+  const state = {
+    sessionId:  prev.sessionId  || null,
+    cwd:        prev.cwd        || null,
+    branch:     prev.branch     || null,
+    model:      prev.model      || null,
+    promptText: prev.promptText || null,
+  };
+
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (!line) continue;
+
+    let obj;
+    try { obj = JSON.parse(line); } catch { continue; }
+    const payload = obj.payload || {};
+
+    if (obj.type === 'session_meta') {
+      state.sessionId = payload.id  || state.sessionId;
+      state.cwd       = payload.cwd || state.cwd;
+      state.branch    = (payload.git && payload.git.branch) || state.branch;
+      continue;
+    }
+    if (obj.type === 'turn_context') {
+      state.model = payload.model || state.model;
+      state.cwd   = payload.cwd   || state.cwd;
+      continue;
+    }
+    if (obj.type !== 'event_msg') continue;
+
+    if (payload.type === 'user_message') {
+      const text = extractHumanText(payload.message);
+      if (text) state.promptText = text;
+      continue;
+    }
+
+    // token_count without info is a rate-limit update only
+    if (payload.type !== 'token_count' || !payload.info) continue;
+    const usage = payload.info.last_token_usage;
+    const total = payload.info.total_token_usage;
+    if (!usage || !total || !state.model) continue;
+
+    // Codex repeats token_count with unchanged totals — the running total makes a stable id
+    const requestId = `codex:${state.sessionId || path.basename(filePath)}:${total.total_tokens}`;
+
+    const cacheReadTokens = usage.cached_input_tokens || 0;
+    const inputTokens     = Math.max((usage.input_tokens || 0) - cacheReadTokens, 0);
+    const outputTokens    = usage.output_tokens || 0;
+    const occurredAt      = obj.timestamp || new Date().toISOString();
+
+    events.push({
+      provider:              inferProvider(state.model),
+      model:                 state.model,
+      session_id:            state.sessionId,
+      project_path:          projectPath || state.cwd,
+      request_id:            requestId,
+      occurred_at:           occurredAt,
+      input_tokens:          inputTokens,
+      output_tokens:         outputTokens,
+      cache_creation_tokens: 0,
+      cache_read_tokens:     cacheReadTokens,
+      cache_creation_1h_tokens: 0,
+      service_tier:          null,
+      cost_usd:              computeCostUSD(state.model, inputTokens, outputTokens, 0, cacheReadTokens, { occurred_at: occurredAt }),
+      source:                'codex',
+      prompt_text:           state.promptText,
+      git_branch:            state.branch,
+    });
+  }
+
+  return { offset: read.offset, lines: read.count, state, restarted };
+}
+
+module.exports = {
+  name:        'codex',
+  defaultRoot: () => path.join(process.env.CODEX_HOME || path.join(os.homedir(), '.codex'), 'sessions'),
+  listFiles:   (root) => listLogFiles(root),
+  parseFile,
+};
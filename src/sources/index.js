@@ -0,0 +1,79 @@
+'use strict';
+
+const os   = require('os');
+const path = require('path');
+const { listTranscripts, listLogFiles, parseJSONL } = require('../parser');
+const codex  = require('./codex');
+const apiLog = require('./api-log');
+
+/**
+ * A source adapter turns one kind of log into usage events of the same shape
+ * parseJSONL() produces, so everything downstream of importAll() is shared.
+ *
+ *   name                 value of --source
+ *   defaultRoot()        where the logs live when no path is given
+ *   listFiles(root)      → [{ filePath, projectPath }]
+ *   parseFile(filePath, projectPath, events, resume)
+ *                        → { offset, lines, state, restarted } | null
+ *
+ * `resume` is { offset, state } from the previous pass over the same file;
+ * `state` must be JSON-serialisable because it is kept in import_state.
+ */
+const ADAPTERS = {
+  'claude-code': {
+    name:        'claude-code',
+    defaultRoot: () => path.join(os.homedir(), '.claude'),
+    listFiles:   (root) => listTranscripts(root),
+    parseFile:   (filePath, projectPath, events, resume) => parseJSONL(filePath, projectPath, new Set(), events, resume),
+  },
+  // Claude-format transcripts copied anywhere — project comes from each line's cwd
+  jsonl: {
+    name:        'jsonl',
+    defaultRoot: () => null,
+    listFiles:   (root) => listLogFiles(root),
+    parseFile:   (filePath, projectPath, events, resume) => parseJSONL(filePath, projectPath, new Set(), events, resume, 'jsonl'),
+  },
+  codex,
+  'api-log': apiLog,
+};
+
+/**
+ * Parse a --source value: `name` or `name:path`.
+ *
+ * @param {string} spec
+ * @returns {{ adapter: object, root: string }}
+ */
+function parseSource(spec) {
+  const i = spec.indexOf(':');
+  const name = i === -1 ? spec : spec.slice(0, i);
+  const adapter = ADAPTERS[name];
+  if (!adapter) throw new Error(`Unknown source "${name}" — expected one of ${Object.keys(ADAPTERS).join(', ')}`);
+
+  const given = i === -1 ? '' : spec.slice(i + 1);
+  const root  = given ? path.resolve(given.replace(/^~(?=$|\/)/, os.homedir())) : adapter.defaultRoot();
+  if (!root) throw new Error(`--source ${name} needs a path, e.g. ${name}:/path/to/logs`);
+  return { adapter, root };
+}
+
+/**
+ * Resolve the sources to import. With no --source flags this is Claude Code
+ * alone, rooted at claudeDir, which is how llm-spend has always behaved.
+ *
+ * @param {string[]} [specs]
+ * @param {string} [claudeDir]
+ */
+function resolveSources(specs, claudeDir) {
+  if (!specs || !specs.length) {
+    return [{ adapter: ADAPTERS['claude-code'], root: claudeDir || ADAPTERS['claude-code'].defaultRoot() }];
+  }
+  return specs.map(spec => (
+    spec === 'claude-code' && claudeDir ? { adapter: ADAPTERS['claude-code'], root: claudeDir } : parseSource(spec)
+  ));
+}
+
+// Summary for /api/settings
+function describeSources(sources) {
+  return sources.map(s => ({ name: s.adapter.name, path: s.root }));
+}
+
+module.exports = { ADAPTERS, parseSource, resolveSources, describeSources };
@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * occurred_at is stored in UTC, but "today" means the developer's own
+ * calendar day. Routes that filter by date take an IANA time zone (`tz`,
+ * e.g. America/Los_Angeles): YYYY-MM-DD bounds start and end at its
+ * midnights, and chart buckets are cut in its local time. Without a tz,
+ * days are UTC days.
+ *
+ *   hour   YYYY-MM-DDTHH:00
+ *   day    YYYY-MM-DD
+ *   week   YYYY-MM-DD of the Monday that starts it
+ *   month  YYYY-MM
+ */
+const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+const BLOCK_MS      = 900000; // zone offsets only change on quarter-hour boundaries
+const MAX_CACHED    = 100000;
+
+const zones = new Map(); // tz → { format: Intl.DateTimeFormat, offsets: Map<block, ms>, buckets: Map<key, bucket> }
+
+// ── Validation ────────────────────────────────────────────────────────────────
+
+// The canonical zone name, or null for UTC; throws on names Intl doesn't know
+function normalizeTz(tz) {
+  if (tz == null || tz === '') return null;
+  let name;
+  try {
+    name = new Intl.DateTimeFormat('en-US', { timeZone: String(tz) }).resolvedOptions().timeZone;
+  } catch {
+    throw new Error(`Unknown time zone "${tz}" — use an IANA name such as Europe/Berlin`);
+  }
+  return name === 'UTC' || name === 'Etc/UTC' ? null : name;
+}
+
+// A YYYY-MM-DD query value, or null when absent
+function normalizeDate(value, name) {
+  if (value == null || value === '') return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) throw new Error(`${name} must be a date (YYYY-MM-DD)`);
+  return value;
+}
+
+function normalizeGranularity(granularity) {
+  if (granularity == null || granularity === '') return 'day';
+  if (!GRANULARITIES.includes(granularity)) throw new Error(`granularity must be one of ${GRANULARITIES.join(', ')}`);
+  return granularity;
+}
+
+// ── Conversion ────────────────────────────────────────────────────────────────
+
+function zone(tz) {
+  let z = zones.get(tz);
+  if (!z) {
+    z = {
+      format: new Intl.DateTimeFormat('en-US', {
+        timeZone: tz, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+      }),
+      offsets: new Map(),
+      buckets: new Map(),
+    };
+    zones.set(tz, z);
+  }
+  return z;
+}
+
+// Milliseconds tz is ahead of UTC at instant ms
+function offsetAt(tz, ms) {
+  const z     = zone(tz);
+  const block = Math.floor(ms / BLOCK_MS);
+  let offset  = z.offsets.get(block);
+  if (offset === undefined) {
+    const at = block * BLOCK_MS;
+    const p  = {};
+    for (const { type, value } of z.format.formatToParts(new Date(at))) p[type] = +value;
+    offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - at;
+    if (z.offsets.size >= MAX_CACHED) z.offsets.clear();
+    z.offsets.set(block, offset);
+  }
+  return offset;
+}
+
+// Wall-clock time in tz as YYYY-MM-DDTHH:MM:SS; null for an unparseable timestamp
+function localTime(iso, tz) {
+  if (!tz) return iso.slice(0, 19);
+  const ms = Date.parse(iso);
+  if (isNaN(ms)) return null;
+  return new Date(ms + offsetAt(tz, ms)).toISOString().slice(0, 19);
+}
+
+/**
+ * The bucket an event falls in — also registered as the SQL function
+ * local_bucket(occurred_at, tz, granularity).
+ */
+function bucketOf(iso, tz, granularity = 'day') {
+  if (iso == null) return null;
+  if (!tz || !iso.endsWith('Z')) return cutBucket(localTime(iso, tz), granularity);
+
+  // Every event in the same UTC minute lands in the same bucket — convert once per minute
+  const { buckets } = zone(tz);
+  const key = granularity + iso.slice(0, 16);
+  let bucket = buckets.get(key);
+  if (bucket === undefined) {
+    bucket = cutBucket(localTime(iso, tz), granularity);
+    if (buckets.size >= MAX_CACHED) buckets.clear();
+    buckets.set(key, bucket);
+  }
+  return bucket;
+}
+
+function cutBucket(t, granularity) {
+  if (!t) return null;
+  switch (granularity) {
+    case 'hour':  return t.slice(0, 13) + ':00';
+    case 'week':  return shiftDate(t.slice(0, 10), -((new Date(t.slice(0, 10)).getUTCDay() + 6) % 7));
+    case 'month': return t.slice(0, 7);
+    default:      return t.slice(0, 10);
+  }
+}
+
+// The UTC instant (ISO) at which `date` (YYYY-MM-DD) begins in tz
+function dayStart(date, tz) {
+  const midnight = Date.parse(date + 'T00:00:00Z');
+  if (!tz) return new Date(midnight).toISOString();
+  // Twice, in case the first guess lands on the other side of a DST change
+  const first = midnight - offsetAt(tz, midnight);
+  return new Date(midnight - offsetAt(tz, first)).toISOString();
+}
+
+/**
+ * Inclusive YYYY-MM-DD bounds as a half-open UTC range: start <= occurred_at < end.
+ *
+ * @returns {{ start: string|null, end: string|null }}
+ */
+function dateBounds(from, to, tz) {
+  return {
+    start: from ? dayStart(from, tz) : null,
+    end:   to   ? dayStart(shiftDate(to, 1), tz) : null,
+  };
+}
+
+// Today's date in tz
+function today(tz, now = new Date()) {
+  return localTime(now.toISOString(), tz).slice(0, 10);
+}
+
+function shiftDate(date, days) {
+  const d = new Date(date + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  GRANULARITIES, normalizeTz, normalizeDate, normalizeGranularity,
+  localTime, bucketOf, dayStart, dateBounds, today, shiftDate,
+};
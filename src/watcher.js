@@ -0,0 +1,114 @@
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+/**
+ * Watch claudeDir/projects for transcript writes and report the changed
+ * *.jsonl paths in batches. fs.watch is not recursive on Linux before Node 20,
+ * so every project directory gets its own watcher and new ones are picked up
+ * as they appear. A session's subagents/ directory is watched once its parent
+ * transcript changes — subagents only run while their session is active.
+ * On a fresh install projects/ may not exist yet; it is looked for again
+ * every `retry` ms until it appears.
+ *
+ * @param {string} claudeDir
+ * @param {(files: string[]) => void} onChange
+ * @param {object} [options]
+ * @param {number} [options.delay]  ms to collect changes before calling onChange
+ * @param {number} [options.retry]  ms between looks for a missing projects/
+ * @returns {() => void} stop watching
+ */
+function watchProjects(claudeDir, onChange, { delay = 300, retry = 5000 } = {}) {
+  const projectsDir = path.join(claudeDir, 'projects');
+  const watchers = new Map(); // dir → fs.FSWatcher
+  const pending  = new Set();
+  let timer = null;
+  let waiting = null; // interval while projects/ doesn't exist
+
+  function flush() {
+    timer = null;
+    const files = [...pending];
+    pending.clear();
+    onChange(files);
+  }
+
+  function mark(filePath) {
+    pending.add(filePath);
+    if (!timer) timer = setTimeout(flush, delay);
+  }
+
+  function watchDir(dir, listener) {
+    if (watchers.has(dir)) return;
+    try {
+      const w = fs.watch(dir, listener);
+      w.on('error', () => { w.close(); watchers.delete(dir); });
+      watchers.set(dir, w);
+    } catch { /* dir vanished or is unreadable */ }
+  }
+
+  // <slug>/<session>/subagents appears when the first Task call starts
+  function watchSubagents(transcript) {
+    const dir = path.join(transcript.slice(0, -'.jsonl'.length), 'subagents');
+    if (watchers.has(dir) || !fs.existsSync(dir)) return;
+    watchDir(dir, (evt, name) => {
+      if (name && name.endsWith('.jsonl')) mark(path.join(dir, name));
+    });
+    for (const ent of readDir(dir)) {
+      if (ent.isFile() && ent.name.endsWith('.jsonl')) mark(path.join(dir, ent.name));
+    }
+  }
+
+  // New project dirs may already hold transcripts written before the watcher attached
+  function watchSlug(slugDir, isNew) {
+    if (watchers.has(slugDir)) return;
+    watchDir(slugDir, (evt, name) => {
+      if (!name || !name.endsWith('.jsonl')) return;
+      mark(path.join(slugDir, name));
+      watchSubagents(path.join(slugDir, name));
+    });
+    if (!isNew) return;
+    for (const ent of readDir(slugDir)) {
+      if (ent.isFile() && ent.name.endsWith('.jsonl')) mark(path.join(slugDir, ent.name));
+    }
+  }
+
+  function scanSlugs(isNew) {
+    for (const ent of readDir(projectsDir)) {
+      if (ent.isDirectory()) watchSlug(path.join(projectsDir, ent.name), isNew);
+    }
+  }
+
+  function watchProjectsDir() {
+    watchDir(projectsDir, () => scanSlugs(true));
+    return watchers.has(projectsDir);
+  }
+
+  if (watchProjectsDir()) {
+    scanSlugs(false);
+  } else {
+    // Everything in it was written after startup, so all of it is new
+    waiting = setInterval(() => {
+      if (!watchProjectsDir()) return;
+      clearInterval(waiting);
+      waiting = null;
+      scanSlugs(true);
+    }, retry);
+    waiting.unref();
+  }
+
+  return function stop() {
+    if (timer) clearTimeout(timer);
+    if (waiting) clearInterval(waiting);
+    timer = waiting = null;
+    for (const w of watchers.values()) w.close();
+    watchers.clear();
+  };
+}
+
+function readDir(dir) {
+  try { return fs.readdirSync(dir, { withFileTypes: true }); }
+  catch { return []; }
+}
+
+module.exports = { watchProjects };
@@ -0,0 +1,372 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert  = require('node:assert/strict');
+const http    = require('http');
+const request = require('supertest');
+const { makeClaudeTree, REQUESTS } = require('./fixtures');
+const { createApp } = require('../src/server');
+const store   = require('../src/db');
+const retention = require('../src/retention');
+
+// The fixture's events fall on 2026-10-01 … 2026-10-03 (UTC)
+const RANGE = { from: '2026-10-01', to: '2026-10-03' };
+
+// Sum of every sample of one metric in a scrape
+function sumOf(text, name) {
+  return text.split('\n')
+    .filter(line => line.startsWith(name + '{') || line.startsWith(name + ' '))
+    .reduce((sum, line) => sum + Number(line.slice(line.lastIndexOf(' ') + 1)), 0);
+}
+
+// supertest leaves types it doesn't know, like NDJSON, unread
+function textBody(res, done) {
+  let text = '';
+  res.setEncoding('utf8');
+  res.on('data', chunk => { text += chunk; });
+  res.on('end', () => done(null, text));
+}
+
+describe('API', () => {
+  let tree, app;
+  before(async () => {
+    tree = makeClaudeTree();
+    app  = createApp({ claudeDir: tree.claudeDir, dataDir: tree.dataDir });
+    // Waits for the startup import, which runs in the background
+    await request(app).post('/api/refresh').expect(200);
+  });
+  after(() => tree.cleanup());
+
+  const get = (path, query = {}) => request(app).get(path).query(query);
+
+  describe('session and import', () => {
+    it('GET /api/session — everyone is admin without sign-in', async () => {
+      const res = await get('/api/session').expect(200);
+      assert.deepEqual(res.body, { auth: false, role: 'admin', csrf_token: null });
+    });
+
+    it('POST /api/refresh — nothing new the second time', async () => {
+      const res = await request(app).post('/api/refresh').expect(200);
+      assert.deepEqual(res.body, { filesScanned: 5, filesImported: 0, eventsInserted: 0, ok: true });
+    });
+
+    it('GET /api/progress — done', async () => {
+      const res = await get('/api/progress').expect(200);
+      assert.equal(res.body.running, false);
+      assert.equal(res.body.parsed, res.body.total);
+    });
+
+    it('GET /api/settings', async () => {
+      const res = await get('/api/settings').expect(200);
+      assert.equal(res.body.claude_data_dir, tree.claudeDir);
+      assert.deepEqual(res.body.sources, [{ name: 'claude-code', path: tree.claudeDir }]);
+      assert.equal(res.body.collector, false);
+    });
+
+    it('GET /api/stream — server-sent events', async () => {
+      const server = app.listen(0);
+      try {
+        const head = await new Promise((resolve, reject) => {
+          http.get(`http://127.0.0.1:${server.address().port}/api/stream`, res => {
+            res.once('data', chunk => { resolve({ type: res.headers['content-type'], body: String(chunk) }); res.destroy(); });
+          }).on('error', reject);
+        });
+        assert.match(head.type, /^text\/event-stream/);
+        assert.equal(head.body, 'retry: 3000\n\n');
+      } finally {
+        server.closeAllConnections();
+        server.close();
+      }
+    });
+  });
+
+  describe('breakdowns', () => {
+    it('GET /api/overview', async () => {
+      const res = await get('/api/overview', RANGE).expect(200);
+      assert.equal(res.body.totals.total_requests, REQUESTS.length);
+      assert.ok(!res.body.byModel.some(m => m.model === '<synthetic>'));
+      const sonnet = res.body.byModel.find(m => m.model === 'claude-sonnet-4-5-20250929');
+      assert.equal(sonnet.requests, 2);
+    });
+
+    it('GET /api/overview — a range with nothing in it', async () => {
+      const res = await get('/api/overview', { from: '2026-01-01', to: '2026-01-31' }).expect(200);
+      assert.equal(res.body.totals.total_requests, 0);
+      assert.deepEqual(res.body.byModel, []);
+    });
+
+    it('rejects bad dates, time zones and granularities with 400', async () => {
+      await get('/api/overview', { from: '2026-13-45' }).expect(400);
+      await get('/api/overview', { tz: 'Mars/Olympus' }).expect(400);
+      await get('/api/timeseries', { granularity: 'fortnight' }).expect(400);
+    });
+
+    it('GET /api/timeseries — per day and per hour, in the given time zone', async () => {
+      const days = (await get('/api/timeseries', RANGE).expect(200)).body;
+      assert.deepEqual([...new Set(days.map(r => r.date))], ['2026-10-01', '2026-10-02', '2026-10-03']);
+      const hours = (await get('/api/timeseries', { ...RANGE, granularity: 'hour', tz: 'America/Los_Angeles' }).expect(200)).body;
+      assert.ok(hours.some(r => r.date === '2026-10-01T02:00'));
+    });
+
+    it('GET /api/heatmap — 168 weekday × hour cells', async () => {
+      const cells = (await get('/api/heatmap', RANGE).expect(200)).body;
+      assert.equal(cells.length, 168);
+      // 2026-10-01 is a Thursday; msg_A1, msg_A2 and msg_S1 ran at 09:00 UTC
+      assert.equal(cells.find(c => c.weekday === 3 && c.hour === 9).requests, 3);
+    });
+
+    it('GET /api/sessions', async () => {
+      const sessions = (await get('/api/sessions', RANGE).expect(200)).body;
+      assert.deepEqual(sessions.map(s => s.session_id).sort(), ['l1', 's1', 's2', 's3']);
+    });
+
+    it('GET /api/sessions/:id — turn by turn', async () => {
+      const detail = (await get('/api/sessions/s1').expect(200)).body;
+      assert.equal(detail.requests, 3);
+      assert.equal(detail.turns[0].request_id, 'msg_A1');
+      await get('/api/sessions/nope').expect(404);
+    });
+
+    it('GET /api/sessions/:id/tree — the subagent beside its parent', async () => {
+      const tree_ = (await get('/api/sessions/s1/tree').expect(200)).body;
+      assert.equal(tree_.own.requests, 2);
+      assert.equal(tree_.agents.length, 1);
+      assert.equal(tree_.agents[0].agent_id, 'ag1');
+      assert.equal(tree_.agents[0].description, 'explore repo');
+    });
+
+    it('GET /api/events — filtered, sorted and paged', async () => {
+      const byCost = (await get('/api/events', { sort: 'cost', limit: 2 }).expect(200)).body;
+      assert.equal(byCost.total, REQUESTS.length);
+      assert.equal(byCost.rows.length, 2);
+      assert.equal(byCost.rows[0].request_id, 'msg_B1'); // long-context request
+      const lib = (await get('/api/events', { project: '/work/lib' }).expect(200)).body;
+      assert.deepEqual(lib.rows.map(r => r.request_id), ['msg_L1']);
+    });
+
+    it('GET /api/export — csv, json and ndjson', async () => {
+      const csv = await get('/api/export', { format: 'csv' }).expect(200);
+      assert.match(csv.headers['content-type'], /^text\/csv/);
+      assert.equal(csv.text.trim().split('\n').length, REQUESTS.length + 1);
+      const json = await get('/api/export', { format: 'json', session_id: 's1' }).expect(200);
+      assert.equal(JSON.parse(json.text).length, 3);
+      const nd = await get('/api/export', { format: 'ndjson', project: '/work/lib' }).buffer(true).parse(textBody).expect(200);
+      assert.match(nd.headers['content-type'], /^application\/x-ndjson/);
+      assert.equal(JSON.parse(nd.body.trim()).request_id, 'msg_L1');
+      await get('/api/export', { format: 'xml' }).expect(400);
+    });
+
+    it('GET /api/models', async () => {
+      const res = await get('/api/models').expect(200);
+      assert.ok(JSON.stringify(res.body).includes('claude-haiku-4-5'));
+    });
+
+    it('GET /api/projects — by path, repository and branch', async () => {
+      const paths = (await get('/api/projects', RANGE).expect(200)).body;
+      assert.deepEqual(paths.map(p => p.project_path).sort(), ['/work/app', '/work/app-old', '/work/lib']);
+      const branches = (await get('/api/projects', { ...RANGE, by: 'branch' }).expect(200)).body;
+      assert.ok(branches.every(p => p.git_branch === 'main'));
+      await get('/api/projects', { by: 'repo' }).expect(200);
+      await get('/api/projects', { by: 'planet' }).expect(400);
+    });
+
+    it('GET /api/users — only this machine', async () => {
+      const users = (await get('/api/users', RANGE).expect(200)).body;
+      assert.deepEqual(users.map(u => u.user), ['local']);
+      assert.equal(users[0].requests, REQUESTS.length);
+    });
+
+    it('GET /api/tools', async () => {
+      const res = (await get('/api/tools', RANGE).expect(200)).body;
+      const names = res.tools.map(t => t.tool_name).sort();
+      assert.deepEqual(names, ['Bash', 'Read', 'Task']);
+      assert.ok(res.targets.some(t => t.target === 'npm test'));
+    });
+
+    it('GET /api/anomalies — too little history to flag anything', async () => {
+      const res = (await get('/api/anomalies', RANGE).expect(200)).body;
+      assert.deepEqual(res.anomalies, []);
+    });
+
+    it('GET /api/pricing — every fixture model is priced', async () => {
+      const res = (await get('/api/pricing').expect(200)).body;
+      assert.ok(res.entries.length > 0);
+      assert.deepEqual(res.unmatched, []);
+    });
+  });
+
+  describe('what-if and budgets', () => {
+    it('POST /api/simulate', async () => {
+      const res = await request(app).post('/api/simulate')
+        .send({ filters: RANGE, rules: [{ type: 'model', from: 'claude-sonnet-4-5', to: 'claude-haiku-4-5' }] })
+        .expect(200);
+      assert.equal(res.body.totals.requests, REQUESTS.length);
+      assert.ok(res.body.totals.savings_usd > 0);
+    });
+
+    it('POST /api/simulate — bad rules and filters are 400s', async () => {
+      await request(app).post('/api/simulate').send({ rules: [] }).expect(400);
+      await request(app).post('/api/simulate').send({ rules: [{ type: 'model', from: 'x', to: 'no-such-model' }] }).expect(400);
+      await request(app).post('/api/simulate').send({ filters: { tz: 'Nowhere' }, rules: [{ type: 'cache_hit', pct: 50 }] }).expect(400);
+    });
+
+    it('GET and PUT /api/budgets', async () => {
+      assert.deepEqual((await get('/api/budgets').expect(200)).body, []);
+      const res = await request(app).put('/api/budgets')
+        .send([{ scope: 'overall', period: 'monthly', limit_usd: 100 }])
+        .expect(200);
+      assert.equal(res.body.length, 1);
+      assert.equal(res.body[0].limit_usd, 100);
+      await request(app).put('/api/budgets').send([{ scope: 'overall', period: 'hourly', limit_usd: 1 }]).expect(400);
+    });
+  });
+
+  describe('compare', () => {
+    it('GET /api/compare — two date ranges, overlaid by bucket offset', async () => {
+      const res = (await get('/api/compare', {
+        'a[from]': '2026-10-01', 'a[to]': '2026-10-01', 'b[from]': '2026-10-02', 'b[to]': '2026-10-03',
+      }).expect(200)).body;
+      assert.deepEqual([res.a.totals.requests, res.b.totals.requests], [3, 3]);
+      assert.equal(res.delta.cost_usd.diff, res.b.totals.cost_usd - res.a.totals.cost_usd);
+      assert.equal(res.delta.cost_per_request.b, res.b.totals.cost_usd / 3);
+      assert.ok(res.a.totals.cache_hit_rate > 0);
+      assert.equal(res.b.totals.cache_hit_rate, 0);
+      assert.deepEqual(res.b.series.map(s => [s.date, s.offset]), [['2026-10-02', 0], ['2026-10-03', 1]]);
+      assert.deepEqual([res.a.buckets, res.b.buckets], [1, 2]);
+      // msg_A2 is the only Opus request, so Opus drops out of the mix entirely
+      const opus = res.delta.model_mix.find(m => m.model === 'claude-opus-4-6');
+      assert.deepEqual([opus.b.requests, opus.share_diff], [0, -opus.a.share]);
+    });
+
+    it('GET /api/compare — sources and projects, with shared top-level dates', async () => {
+      const res = (await get('/api/compare', { ...RANGE, 'a[source]': 'claude-code-subagent', 'b[source]': 'claude-code' }).expect(200)).body;
+      assert.deepEqual([res.a.totals.requests, res.b.totals.requests], [1, 5]);
+      assert.equal(res.a.label, '2026-10-01 – 2026-10-03 · claude-code-subagent');
+      const projects = (await get('/api/compare', { 'a[project]': '/work/app', 'b[project]': '/work/lib' }).expect(200)).body;
+      assert.deepEqual([projects.a.totals.requests, projects.b.totals.requests], [4, 1]);
+    });
+
+    it('GET /api/compare — missing or bad filter sets are 400s', async () => {
+      await get('/api/compare', { 'a[from]': '2026-10-01' }).expect(400);
+      await get('/api/compare', { 'a[from]': 'yesterday', 'b[from]': '2026-10-01' }).expect(400);
+      await get('/api/compare', { 'a[from]': '2026-10-03', 'a[to]': '2026-10-01', 'b[to]': '2026-10-01' }).expect(400);
+    });
+  });
+
+  describe('digest', () => {
+    it('GET /api/digest — a preview of what would be sent now', async () => {
+      const res = (await get('/api/digest', { period: 'weekly', tz: 'Europe/Berlin' }).expect(200)).body;
+      assert.equal(res.period, 'weekly');
+      assert.equal(res.tz, 'Europe/Berlin');
+      assert.equal(typeof res.totals.cost_usd, 'number');
+      await get('/api/digest', { period: 'monthly' }).expect(400);
+    });
+  });
+
+  describe('metrics', () => {
+    it('GET /metrics — Prometheus text format', async () => {
+      const res = await get('/metrics').expect(200);
+      assert.match(res.headers['content-type'], /^text\/plain; version=0\.0\.4/);
+      assert.match(res.text, /^# TYPE llm_spend_cost_usd_total counter$/m);
+      assert.equal(sumOf(res.text, 'llm_spend_requests_total'), REQUESTS.length);
+      const lines = res.text.split('\n');
+      assert.ok(lines.includes('llm_spend_tokens_total{model="claude-haiku-4-5",provider="anthropic",project="/work/lib",source="claude-code",type="input"} 500'));
+      assert.match(res.text, /^llm_spend_today_cost_usd 0$/m);
+    });
+
+    it('GET /metrics?tz= — day gauges in that zone', async () => {
+      const res = await get('/metrics', { tz: 'Europe/Berlin' }).expect(200);
+      assert.match(res.text, /^# HELP llm_spend_today_cost_usd Spend so far today \(Europe\/Berlin\)\.$/m);
+      await get('/metrics', { tz: 'Mars/Olympus' }).expect(400);
+    });
+
+    it('GET /metrics — OpenMetrics when asked for', async () => {
+      const res = await get('/metrics').set('Accept', 'application/openmetrics-text; version=1.0.0').expect(200);
+      assert.match(res.headers['content-type'], /^application\/openmetrics-text/);
+      assert.match(res.text, /^# TYPE llm_spend_cost_usd counter$/m);
+      assert.ok(res.text.endsWith('# EOF\n'));
+    });
+  });
+
+  describe('privacy and retention', () => {
+    it('POST /api/privacy/preview', async () => {
+      const res = await request(app).post('/api/privacy/preview')
+        .send({ text: 'hunter2 is dev@example.com', patterns: ['hunter\\d'] })
+        .expect(200);
+      assert.equal(res.body.text, '[redacted] is [email]');
+      await request(app).post('/api/privacy/preview').send({ text: 1 }).expect(400);
+      const long = await request(app).post('/api/privacy/preview').send({ text: 'x', patterns: ['a'.repeat(201)] }).expect(400);
+      assert.match(long.body.error, /at most 200 characters/);
+      await request(app).post('/api/privacy/preview').send({ text: 'x', patterns: Array(51).fill('a') }).expect(400);
+    });
+
+    it('GET and PUT /api/privacy — off clears stored prompts', async () => {
+      assert.equal((await get('/api/privacy').expect(200)).body.mode, 'full');
+      await request(app).put('/api/privacy').send({ mode: 'loud' }).expect(400);
+      await request(app).put('/api/privacy').send({ mode: 'off' }).expect(200);
+      const detail = (await get('/api/sessions/s1').expect(200)).body;
+      assert.ok(detail.turns.every(t => t.prompt_text == null));
+    });
+
+    it('GET /api/retention — preview without saving', async () => {
+      const res = (await get('/api/retention', { days: 1 }).expect(200)).body;
+      assert.equal(res.retention_days, null);
+      assert.equal(res.preview.events, REQUESTS.length);
+      await get('/api/retention', { days: 0 }).expect(400);
+    });
+
+    it('DELETE /api/events — dry run, then purge one session', async () => {
+      await request(app).delete('/api/events').expect(400);
+      const dry = (await request(app).delete('/api/events').query({ session_id: 's2', dry_run: 1 }).expect(200)).body;
+      assert.equal(dry.dry_run, true);
+      assert.equal(dry.events, 1);
+      const done = (await request(app).delete('/api/events').query({ session_id: 's2' }).expect(200)).body;
+      assert.equal(done.events, 1);
+      assert.equal((await get('/api/overview').expect(200)).body.totals.total_requests, REQUESTS.length - 1);
+      assert.equal(sumOf((await get('/metrics').expect(200)).text, 'llm_spend_requests_total'), REQUESTS.length - 1);
+    });
+
+    it('DELETE /api/events — leaves other sessions\' subagent runs alone', async () => {
+      const db = store.getDb(tree.dataDir);
+      store.upsertSubagentRun(db, { agent_id: 'ag-unlinked', description: 'run without a session' });
+      const done = (await request(app).delete('/api/events').query({ session_id: 's3' }).expect(200)).body;
+      assert.equal(done.subagent_runs, 0);
+      const runs = db.prepare('SELECT agent_id FROM subagent_runs ORDER BY agent_id').all().map(r => r.agent_id);
+      assert.deepEqual(runs, ['ag-unlinked', 'ag1']);
+    });
+
+    it('DELETE /api/events?tz= — cuts the range at that zone\'s midnights', async () => {
+      const range = { from: '2026-10-02', to: '2026-10-02', dry_run: 1 };
+      assert.equal((await request(app).delete('/api/events').query(range).expect(200)).body.events, 0);
+      // msg_L1 (10-03 08:00 UTC) is still 10-02 in Honolulu
+      const hnl = { ...range, tz: 'Pacific/Honolulu' };
+      assert.equal((await request(app).delete('/api/events').query(hnl).expect(200)).body.events, 1);
+      const done = (await request(app).delete('/api/events').query({ ...hnl, dry_run: 0 }).expect(200)).body;
+      assert.equal(done.tz, 'Pacific/Honolulu');
+      const isPurged = retention.purgedFilter(store.getDb(tree.dataDir));
+      assert.equal(isPurged({ occurred_at: '2026-10-03T08:00:00.000Z', project_path: '/work/lib' }), true);
+      assert.equal(isPurged({ occurred_at: '2026-10-03T10:00:00.000Z', project_path: '/work/lib' }), false);
+    });
+
+    it('PUT /api/retention — applies at once', async () => {
+      await request(app).put('/api/retention').send({ retention_days: -3 }).expect(400);
+      const res = (await request(app).put('/api/retention').send({ retention_days: 1 }).expect(200)).body;
+      assert.equal(res.retention_days, 1);
+      assert.equal((await get('/api/overview').expect(200)).body.totals.total_requests, 0);
+    });
+
+    it('keeps only the purge records still needed', () => {
+      const db  = store.getDb(tree.dataDir);
+      const now = new Date();
+      retention.purge(db, { project: '/work/gone' }, new Date(now.getTime() - 2 * 86400000));
+      assert.equal(retention.getRetention(db).purges.filter(p => p.project === '/work/gone').length, 1);
+      retention.purge(db, { project: '/work/lib' }, now);
+      retention.purge(db, { project: '/work/lib' }, now);
+      const purges = retention.getRetention(db).purges;
+      // Before the 1-day retention cutoff: retention keeps those rows out already
+      assert.equal(purges.filter(p => p.project === '/work/gone').length, 0);
+      assert.equal(purges.filter(p => p.project === '/work/lib').length, 1);
+      assert.ok(purges.some(p => p.session_id === 's2'));
+    });
+  });
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { makeClaudeTree } = require('./fixtures');
+const { importAll } = require('../src/parser');
+const { resolveSources } = require('../src/sources');
+const store   = require('../src/db');
+const budgets = require('../src/budgets');
+const metrics = require('../src/metrics');
+
+// 09:00 UTC on 10-03 is still 23:00 on 10-02 in Honolulu (UTC-10)
+const NOW = new Date('2026-10-03T09:00:00Z');
+const HNL = 'Pacific/Honolulu';
+
+describe('budgets in a time zone', () => {
+  let tree, db;
+  before(async () => {
+    tree = makeClaudeTree();
+    db   = store.getDb(tree.dataDir);
+    await importAll(db, resolveSources([], tree.claudeDir));
+    budgets.saveBudgets(db, [{ scope: 'overall', period: 'daily', limit_usd: 100 }]);
+  });
+  after(() => tree.cleanup());
+
+  it('periodWindow starts the period at local midnight', () => {
+    assert.deepEqual(budgets.periodWindow('daily', NOW), { from: '2026-10-03', to: '2026-10-03', daysLeft: 0 });
+    assert.deepEqual(budgets.periodWindow('daily', NOW, HNL), { from: '2026-10-02', to: '2026-10-02', daysLeft: 0 });
+    assert.equal(budgets.periodWindow('monthly', new Date('2026-11-01T05:00:00Z'), HNL).from, '2026-10-01');
+  });
+
+  it('getDailyCost cuts days in tz', () => {
+    const utc   = store.getDailyCost(db, '2026-10-02', '2026-10-03');
+    const local = store.getDailyCost(db, '2026-10-02', '2026-10-03', { tz: HNL });
+    assert.deepEqual(utc.map(d => d.date), ['2026-10-02', '2026-10-03']);
+    // msg_L1 (10-03 08:00 UTC) moves to 10-02
+    assert.deepEqual(local.map(d => d.date), ['2026-10-02']);
+    assert.ok(Math.abs(local[0].cost_usd - (utc[0].cost_usd + utc[1].cost_usd)) < 1e-12);
+  });
+
+  it('getDailyCost matches models by plain substring', () => {
+    assert.deepEqual(store.getDailyCost(db, '2026-10-01', '2026-10-03', { model_like: 'Haiku' }).map(d => d.date), ['2026-10-01', '2026-10-03']);
+    assert.deepEqual(store.getDailyCost(db, '2026-10-01', '2026-10-03', { model_like: 'claude_haiku' }), []);
+    assert.deepEqual(store.getDailyCost(db, '2026-10-01', '2026-10-03', { model_like: '%' }), []);
+  });
+
+  it('evaluateBudgets and the /metrics gauges agree on what today is', () => {
+    const [utc]   = budgets.evaluateBudgets(db, NOW);
+    const [local] = budgets.evaluateBudgets(db, NOW, HNL);
+    assert.equal(local.period_start, '2026-10-02');
+    assert.ok(local.spent_usd > utc.spent_usd);
+    assert.equal(metrics.spendGauges(db, NOW, HNL).today_usd, local.spent_usd);
+    assert.equal(metrics.spendGauges(db, NOW).today_usd, utc.spent_usd);
+  });
+});
@@ -0,0 +1,188 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const http   = require('http');
+const net    = require('net');
+const path   = require('path');
+const { makeClaudeTree } = require('./fixtures');
+const { importAll } = require('../src/parser');
+const { resolveSources } = require('../src/sources');
+const store  = require('../src/db');
+const digest = require('../src/digest');
+
+// Fixture spend: 2026-10-01 (Thu) msg_A1, msg_A2, msg_S1 · 10-02 msg_B1, msg_M1 · 10-03 msg_L1
+const FRIDAY = new Date('2026-10-03T10:00:00Z'); // daily digest covers Friday 10-02
+const MONDAY = new Date('2026-10-05T10:00:00Z'); // weekly digest covers 09-28 … 10-04
+
+// Stand-in for webhooks and an SMTP relay; records what they were sent
+function startStandIns() {
+  const posts = [];
+  const mails = [];
+  const web = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => { posts.push({ path: req.url, body: JSON.parse(body) }); res.end('ok'); });
+  });
+  const smtp = net.createServer(socket => {
+    let buf = '', data = null;
+    const say = line => socket.write(line + '\r\n');
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+      buf += chunk;
+      let i;
+      while ((i = buf.indexOf('\r\n')) !== -1) {
+        const line = buf.slice(0, i);
+        buf = buf.slice(i + 2);
+        if (data) {
+          if (line === '.') { mails.push(data); data = null; say('250 queued'); } else data.lines.push(line);
+        } else if (line.startsWith('EHLO')) { socket.write('250-stand-in\r\n250 8BITMIME\r\n'); }
+        else if (line === 'DATA') { data = { lines: [] }; say('354 go ahead'); }
+        else if (line === 'QUIT') { say('221 bye'); socket.end(); }
+        else say('250 ok');
+      }
+    });
+    say('220 stand-in ESMTP');
+  });
+  const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+  return Promise.all([listen(web), listen(smtp)]).then(([webPort, smtpPort]) => ({
+    posts, mails, web: `http://127.0.0.1:${webPort}`, smtp: `smtp://127.0.0.1:${smtpPort}`,
+    close: () => { web.close(); smtp.close(); },
+  }));
+}
+
+describe('digests', () => {
+  let tree, db;
+  before(async () => {
+    tree = makeClaudeTree();
+    db   = store.getDb(tree.dataDir);
+    await importAll(db, resolveSources([], tree.claudeDir));
+  });
+  after(() => tree.cleanup());
+
+  describe('normalizeDigest', () => {
+    it('is off without a sink', () => {
+      assert.equal(digest.normalizeDigest({ period: 'weekly' }), null);
+    });
+
+    it('parses sinks like sources', () => {
+      const config = digest.normalizeDigest({
+        to: ['slack:https://hooks.slack.com/services/T/B/x', 'email:a@x.io, b@x.io', 'markdown:/tmp/digests'],
+        period: 'both', smtp: 'smtp://relay:25', tz: 'Europe/Berlin',
+      });
+      assert.deepEqual(config.sinks.map(s => s.kind), ['slack', 'email', 'markdown']);
+      assert.deepEqual(config.sinks[1].to, ['a@x.io', 'b@x.io']);
+      assert.deepEqual(config.periods, ['daily', 'weekly']);
+      assert.equal(config.at, '08:00');
+    });
+
+    it('rejects bad sinks, periods, times and missing SMTP settings', () => {
+      assert.throws(() => digest.normalizeDigest({ to: ['teams:https://x'] }), /must start with webhook:/);
+      assert.throws(() => digest.normalizeDigest({ to: ['webhook:ftp://x'] }), /http\(s\) URL/);
+      assert.throws(() => digest.normalizeDigest({ to: ['email:nobody'] }), /not an email address/);
+      assert.throws(() => digest.normalizeDigest({ to: ['email:a@x.io'] }), /need --smtp/);
+      assert.throws(() => digest.normalizeDigest({ to: ['markdown:/tmp'], period: 'hourly' }), /daily, weekly or both/);
+      assert.throws(() => digest.normalizeDigest({ to: ['markdown:/tmp'], at: '8am' }), /HH:MM/);
+    });
+  });
+
+  describe('buildDigest', () => {
+    it('covers yesterday against the day before', () => {
+      const d = digest.buildDigest(db, { period: 'daily', now: FRIDAY });
+      assert.equal(d.from, '2026-10-02');
+      assert.equal(d.to, '2026-10-02');
+      assert.equal(d.totals.requests, 2);
+      assert.deepEqual([d.previous.from, d.previous.requests], ['2026-10-01', 3]);
+      assert.ok(Math.abs(d.change_pct - (d.totals.cost_usd / d.previous.cost_usd - 1) * 100) < 1e-9);
+      assert.deepEqual(d.top_projects.map(p => p.project), ['/work/app', '/work/app-old']);
+      assert.deepEqual(d.top_requests.map(r => r.request_id), ['msg_B1', 'msg_M1']);
+      assert.equal(d.top_sessions[0].session_id, 's2');
+    });
+
+    it('covers last Monday–Sunday for the weekly digest', () => {
+      const d = digest.buildDigest(db, { period: 'weekly', now: MONDAY });
+      assert.deepEqual([d.from, d.to, d.previous.from, d.previous.to], ['2026-09-28', '2026-10-04', '2026-09-21', '2026-09-27']);
+      assert.equal(d.totals.requests, 6);
+      assert.equal(d.change_pct, null);
+    });
+
+    it('cuts days in the given time zone', () => {
+      // msg_L1 at 2026-10-03T08:00Z is still 10-02 in Honolulu (UTC-10)
+      const d = digest.buildDigest(db, { period: 'daily', tz: 'Pacific/Honolulu', now: new Date('2026-10-03T20:00:00Z') });
+      assert.equal(d.to, '2026-10-02');
+      assert.ok(d.top_requests.some(r => r.request_id === 'msg_L1'));
+    });
+
+    it('leaves prompt text out', () => {
+      const d = digest.buildDigest(db, { period: 'weekly', now: MONDAY });
+      assert.ok(!JSON.stringify(d).includes('Fix the login bug'));
+    });
+  });
+
+  describe('sending', () => {
+    let standIns, dir;
+    before(async () => {
+      standIns = await startStandIns();
+      dir = path.join(tree.root, 'digests');
+    });
+    after(() => standIns.close());
+
+    it('sends to every sink', async () => {
+      const config = digest.normalizeDigest({
+        to: [`webhook:${standIns.web}/hook`, `slack:${standIns.web}/slack`, 'email:team@example.com', `markdown:${dir}`],
+        smtp: standIns.smtp, from: 'spend@example.com',
+      });
+      const d = digest.buildDigest(db, { period: 'daily', now: FRIDAY });
+      const results = await digest.sendDigest(d, config);
+      assert.ok(results.every(r => r.ok), JSON.stringify(results));
+
+      const hook = standIns.posts.find(p => p.path === '/hook').body;
+      assert.equal(hook.type, 'llm-spend.digest');
+      assert.equal(hook.totals.requests, 2);
+
+      const slack = standIns.posts.find(p => p.path === '/slack').body;
+      assert.match(slack.text, /^llm-spend daily digest: \$\d+\.\d\d \(2026-10-02\) — ▲ \d+% against/);
+      assert.equal(slack.blocks[0].type, 'header');
+
+      const mail = standIns.mails[0].lines;
+      assert.ok(mail.includes('To: team@example.com'));
+      const body = Buffer.from(mail.slice(mail.indexOf('') + 1).join(''), 'base64').toString();
+      assert.match(body, /^# llm-spend daily digest/);
+
+      const md = fs.readFileSync(path.join(dir, 'llm-spend-daily-2026-10-02.md'), 'utf8');
+      assert.match(md, /\| \/work\/app \| 1 \| \$\d+\.\d\d \|/);
+      assert.match(md, /## Most expensive requests/);
+    });
+
+    it('reports a failing sink without stopping the others', async () => {
+      const config = digest.normalizeDigest({ to: ['webhook:http://127.0.0.1:1/nothing-here', `markdown:${dir}`] });
+      const results = await digest.sendDigest(digest.buildDigest(db, { now: FRIDAY }), config);
+      assert.deepEqual(results.map(r => r.ok), [false, true]);
+      assert.equal(results[0].sink, 'webhook:127.0.0.1:1');
+    });
+  });
+
+  describe('schedule', () => {
+    let dir, config;
+    before(() => {
+      dir    = path.join(tree.root, 'scheduled');
+      config = digest.normalizeDigest({ to: [`markdown:${dir}`], period: 'both', at: '09:00' });
+    });
+
+    it('waits for the time of day, then sends each period once', async () => {
+      assert.deepEqual(digest.dueDigests(db, config, new Date('2026-10-05T08:59:00Z')), []);
+      const sent = await digest.runDueDigests(db, config, new Date('2026-10-05T09:00:00Z'));
+      assert.deepEqual(sent.map(s => s.period), ['daily', 'weekly']);
+      assert.deepEqual(fs.readdirSync(dir).sort(), ['llm-spend-daily-2026-10-04.md', 'llm-spend-weekly-2026-10-04.md']);
+      assert.deepEqual(digest.dueDigests(db, config, new Date('2026-10-05T23:00:00Z')), []);
+    });
+
+    it('catches up on a weekly digest missed while the server was down', () => {
+      // Next morning before 09:00: the daily one waits, last week's is already sent
+      assert.deepEqual(digest.dueDigests(db, config, new Date('2026-10-06T07:00:00Z')), []);
+      // A week later on Tuesday morning, the missed weekly digest goes out at once
+      assert.deepEqual(digest.dueDigests(db, config, new Date('2026-10-13T07:00:00Z')), ['weekly']);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+/**
+ * A fixture ~/.claude tree with the awkward cases the parser has to get right:
+ *
+ *   -work-app/sessions-index.json  maps s1 and moved.jsonl to project paths;
+ *                                  s2 is not listed and takes the first entry's
+ *   -work-app/s1.jsonl             one response split over two lines (same
+ *                                  msg.id), a malformed line, a <synthetic>
+ *                                  reply, a Task call and its progress link,
+ *                                  a reply without usage, a blank line
+ *   -work-app/s1/subagents/agent-ag1.jsonl   the Task's sidechain
+ *   -work-app/s2.jsonl             a resumed session repeating msg_A1
+ *   -work-app/moved.jsonl          attributed to /work/app-old by the index
+ *   -work-lib/l1.jsonl             no index — project comes from each line's cwd;
+ *                                  ends in a half-written line
+ */
+const REQUESTS = ['msg_A1', 'msg_A2', 'msg_S1', 'msg_B1', 'msg_M1', 'msg_L1'];
+
+function user(sessionId, at, content, extra = {}) {
+  return { type: 'user', sessionId, timestamp: at, cwd: '/work/app', message: { role: 'user', content }, ...extra };
+}
+
+function assistant(sessionId, at, id, model, usage, content = [], extra = {}) {
+  return {
+    type: 'assistant', sessionId, timestamp: at, cwd: '/work/app', gitBranch: 'main',
+    message: { id, model, role: 'assistant', content, ...(usage && { usage }) },
+    ...extra,
+  };
+}
+
+const USAGE_A1 = {
+  input_tokens: 1000, output_tokens: 500, cache_read_input_tokens: 10000,
+  cache_creation_input_tokens: 2000, cache_creation: { ephemeral_5m_input_tokens: 1500, ephemeral_1h_input_tokens: 500 },
+};
+
+function jsonl(lines, { tail = '\n' } = {}) {
+  return lines.map(l => (typeof l === 'string' ? l : JSON.stringify(l))).join('\n') + tail;
+}
+
+function write(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+/**
+ * Write the tree to a fresh temp directory.
+ *
+ * @returns {{ root: string, claudeDir: string, dataDir: string, file: (rel: string) => string, cleanup: () => void }}
+ */
+function makeClaudeTree() {
+  const root      = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-spend-test-'));
+  const claudeDir = path.join(root, 'claude');
+  const app       = path.join(claudeDir, 'projects', '-work-app');
+  const lib       = path.join(claudeDir, 'projects', '-work-lib');
+
+  write(path.join(app, 'sessions-index.json'), JSON.stringify({
+    entries: [
+      { fullPath: path.join(app, 's1.jsonl'),    projectPath: '/work/app' },
+      { fullPath: path.join(app, 'moved.jsonl'), projectPath: '/work/app-old' },
+    ],
+  }));
+
+  write(path.join(app, 's1.jsonl'), jsonl([
+    user('s1', '2026-10-01T09:00:00.000Z', 'Fix the login bug'),
+    assistant('s1', '2026-10-01T09:00:05.000Z', 'msg_A1', 'claude-sonnet-4-5-20250929', USAGE_A1,
+      [{ type: 'tool_use', id: 'toolu_bash', name: 'Bash', input: { command: 'npm test' } }]),
+    assistant('s1', '2026-10-01T09:00:06.000Z', 'msg_A1', 'claude-sonnet-4-5-20250929', USAGE_A1,
+      [{ type: 'tool_use', id: 'toolu_read', name: 'Read', input: { file_path: '/work/app/login.js' } }]),
+    user('s1', '2026-10-01T09:00:10.000Z', [{ type: 'tool_result', tool_use_id: 'toolu_bash', content: 'x'.repeat(400) }]),
+    '{"type":"assistant","message":{"id":"msg_broken"',
+    assistant('s1', '2026-10-01T09:01:00.000Z', 'msg_syn', '<synthetic>', { input_tokens: 0, output_tokens: 0 }),
+    assistant('s1', '2026-10-01T09:02:00.000Z', 'msg_A2', 'claude-opus-4-6', { input_tokens: 200, output_tokens: 100 },
+      [{ type: 'tool_use', id: 'toolu_task', name: 'Task', input: { description: 'explore repo', subagent_type: 'Explore' } }]),
+    { type: 'progress', sessionId: 's1', parentToolUseID: 'toolu_task', timestamp: '2026-10-01T09:02:30.000Z', data: { agentId: 'ag1' } },
+    assistant('s1', '2026-10-01T09:03:00.000Z', 'msg_nousage', 'claude-opus-4-6', null),
+    '',
+  ]));
+
+  write(path.join(app, 's1', 'subagents', 'agent-ag1.jsonl'), jsonl([
+    assistant('s1', '2026-10-01T09:02:40.000Z', 'msg_S1', 'claude-haiku-4-5', { input_tokens: 3000, output_tokens: 300 }, [],
+      { isSidechain: true, agentId: 'ag1' }),
+  ]));
+
+  write(path.join(app, 's2.jsonl'), jsonl([
+    assistant('s2', '2026-10-01T09:00:05.000Z', 'msg_A1', 'claude-sonnet-4-5-20250929', USAGE_A1),
+    user('s2', '2026-10-02T14:00:00.000Z', 'Now add tests'),
+    assistant('s2', '2026-10-02T14:00:30.000Z', 'msg_B1', 'claude-sonnet-4-5-20250929', { input_tokens: 250000, output_tokens: 1000 }),
+  ]));
+
+  write(path.join(app, 'moved.jsonl'), jsonl([
+    assistant('s3', '2026-10-02T16:00:00.000Z', 'msg_M1', 'claude-sonnet-4-5', { input_tokens: 100, output_tokens: 10 }),
+  ]));
+
+  write(path.join(lib, 'l1.jsonl'), jsonl([
+    assistant('l1', '2026-10-03T08:00:00.000Z', 'msg_L1', 'claude-haiku-4-5', { input_tokens: 500, output_tokens: 50 }, [], { cwd: '/work/lib' }),
+    '{"type":"assistant","sessionId":"l1","message":{"id":"msg_half"',
+  ], { tail: '' }));
+
+  return {
+    root,
+    claudeDir,
+    dataDir: path.join(root, 'data'),
+    file:    rel => path.join(claudeDir, 'projects', rel),
+    cleanup: () => fs.rmSync(root, { recursive: true, force: true }),
+  };
+}
+
+module.exports = { REQUESTS, USAGE_A1, jsonl, assistant, user, makeClaudeTree };
@@ -0,0 +1,175 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert  = require('node:assert/strict');
+const http    = require('http');
+const request = require('supertest');
+const { makeClaudeTree, REQUESTS } = require('./fixtures');
+const { normalizeOtlp, createExporter } = require('../src/otlp');
+const { createApp } = require('../src/server');
+
+// Stand-in OTLP/HTTP receiver: records every request, answers `status`
+function startReceiver() {
+  const received = [];
+  const receiver = { received, status: 200 };
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(receiver.status, { 'Content-Type': 'application/json' }).end('{}');
+    });
+  });
+  return new Promise(resolve => receiver.server.listen(0, '127.0.0.1', () => {
+    receiver.url = `http://127.0.0.1:${receiver.server.address().port}`;
+    resolve(receiver);
+  }));
+}
+
+const attrs = list => Object.fromEntries(list.map(a => [a.key, Object.values(a.value)[0]]));
+
+const EVENT = {
+  provider: 'anthropic', model: 'claude-haiku-4-5', request_id: 'msg_1', session_id: 's1',
+  occurred_at: '2026-10-01T09:00:00.000Z', project_path: '/work/app', source: 'claude-code',
+  input_tokens: 1000, output_tokens: 100, cache_read_tokens: 5000, cache_creation_tokens: 0,
+  cost_usd: 0.002, prompt_text: 'do not send me',
+};
+
+describe('normalizeOtlp', () => {
+  it('is off without an endpoint', () => {
+    assert.equal(normalizeOtlp(), null);
+    assert.equal(normalizeOtlp({ endpoint: '', signal: 'metrics' }), null);
+  });
+
+  it('parses headers from flags or one comma-separated string', () => {
+    assert.deepEqual(normalizeOtlp({ endpoint: 'http://localhost:4318/', headers: ['Authorization=Bearer%20abc'] }),
+      { endpoint: 'http://localhost:4318', headers: { Authorization: 'Bearer abc' }, signal: 'traces' });
+    assert.deepEqual(normalizeOtlp({ endpoint: 'https://otel.example/otlp', headers: 'a=1, b=2', signal: 'both' }).headers,
+      { a: '1', b: '2' });
+  });
+
+  it('rejects bad endpoints, signals and headers', () => {
+    assert.throws(() => normalizeOtlp({ endpoint: 'localhost:4318' }), /http\(s\) URL/);
+    assert.throws(() => normalizeOtlp({ endpoint: 'http://x', signal: 'logs' }), /traces, metrics, both/);
+    assert.throws(() => normalizeOtlp({ endpoint: 'http://x', headers: ['=1'] }), /Name=Value/);
+  });
+});
+
+describe('createExporter', () => {
+  let receiver;
+  before(async () => { receiver = await startReceiver(); });
+  after(() => receiver.server.close());
+
+  it('does nothing when not configured', async () => {
+    const exporter = createExporter(null);
+    assert.equal(exporter.enabled, false);
+    exporter.export([EVENT]);
+    await exporter.flush();
+  });
+
+  it('sends spans with GenAI attributes', async () => {
+    receiver.received.length = 0;
+    const exporter = createExporter(normalizeOtlp({ endpoint: receiver.url, headers: ['x-team=core'] }));
+    exporter.export([EVENT, { ...EVENT, request_id: 'msg_2' }]);
+    await exporter.flush();
+
+    assert.equal(receiver.received.length, 1);
+    const { path, headers, body } = receiver.received[0];
+    assert.equal(path, '/v1/traces');
+    assert.equal(headers['x-team'], 'core');
+    const [a, b] = body.resourceSpans[0].scopeSpans[0].spans;
+    assert.equal(a.name, 'chat claude-haiku-4-5');
+    assert.equal(a.traceId, b.traceId); // same session, same trace
+    assert.notEqual(a.spanId, b.spanId);
+    assert.match(a.traceId, /^[0-9a-f]{32}$/);
+    assert.equal(a.startTimeUnixNano, '1790845200000000000');
+    assert.deepEqual(attrs(a.attributes), {
+      'gen_ai.operation.name': 'chat',
+      'gen_ai.provider.name': 'anthropic',
+      'gen_ai.request.model': 'claude-haiku-4-5',
+      'gen_ai.conversation.id': 's1',
+      'llm_spend.project': '/work/app',
+      'llm_spend.source': 'claude-code',
+      'gen_ai.response.model': 'claude-haiku-4-5',
+      'gen_ai.response.id': 'msg_1',
+      'gen_ai.usage.input_tokens': '1000',
+      'gen_ai.usage.output_tokens': '100',
+      'gen_ai.usage.cache_read.input_tokens': '5000',
+      'gen_ai.usage.cache_creation.input_tokens': '0',
+      'llm_spend.cost_usd': 0.002,
+    });
+  });
+
+  it('sends token usage and cost as metric data points', async () => {
+    receiver.received.length = 0;
+    const exporter = createExporter(normalizeOtlp({ endpoint: receiver.url, signal: 'metrics' }));
+    exporter.export([EVENT]);
+    await exporter.flush();
+
+    assert.deepEqual(receiver.received.map(r => r.path), ['/v1/metrics']);
+    const [tokens, cost] = receiver.received[0].body.resourceMetrics[0].scopeMetrics[0].metrics;
+    assert.equal(tokens.name, 'gen_ai.client.token.usage');
+    assert.deepEqual(tokens.histogram.dataPoints.map(p => [attrs(p.attributes)['gen_ai.token.type'], p.sum]),
+      [['input', 1000], ['output', 100], ['cache_read', 5000]]);
+    assert.equal(cost.name, 'llm_spend.cost');
+    assert.equal(cost.sum.dataPoints[0].asDouble, 0.002);
+    assert.equal(attrs(cost.sum.dataPoints[0].attributes)['gen_ai.conversation.id'], 's1');
+  });
+
+  it('skips events whose time cannot be read', async () => {
+    receiver.received.length = 0;
+    const exporter = createExporter(normalizeOtlp({ endpoint: receiver.url, signal: 'both' }));
+    exporter.export([{ ...EVENT, request_id: 'msg_bad', occurred_at: 'yesterday-ish' }, EVENT]);
+    exporter.export([{ ...EVENT, occurred_at: null }]);
+    await exporter.flush();
+
+    assert.deepEqual(receiver.received.map(r => r.path), ['/v1/traces', '/v1/metrics']);
+    const spans = receiver.received[0].body.resourceSpans[0].scopeSpans[0].spans;
+    assert.deepEqual(spans.map(s => attrs(s.attributes)['gen_ai.response.id']), ['msg_1']);
+  });
+
+  it('drops a rejected batch and carries on with the next', async () => {
+    receiver.received.length = 0;
+    const exporter = createExporter(normalizeOtlp({ endpoint: receiver.url }));
+    const logged = [];
+    const error  = console.error;
+    console.error = msg => logged.push(msg);
+    try {
+      receiver.status = 503;
+      exporter.export([EVENT]);
+      await exporter.flush();
+      receiver.status = 200;
+      exporter.export([{ ...EVENT, request_id: 'msg_3' }]);
+      await exporter.flush();
+    } finally {
+      console.error = error;
+      receiver.status = 200;
+    }
+    assert.equal(receiver.received.length, 2);
+    assert.match(logged[0], /OTLP export failed, dropping 1 events: \/v1\/traces answered 503/);
+  });
+});
+
+describe('createApp with an OTLP endpoint', () => {
+  let tree, receiver;
+  before(async () => {
+    tree     = makeClaudeTree();
+    receiver = await startReceiver();
+  });
+  after(() => {
+    receiver.server.close();
+    tree.cleanup();
+  });
+
+  it('exports each newly stored event once', async () => {
+    const app = createApp({ claudeDir: tree.claudeDir, dataDir: tree.dataDir, otlp: { endpoint: receiver.url, signal: 'both' } });
+    await request(app).post('/api/refresh').expect(200);
+    await request(app).post('/api/refresh').expect(200);
+    for (let i = 0; i < 50 && receiver.received.length < 2; i++) await new Promise(r => setTimeout(r, 20));
+
+    assert.deepEqual(receiver.received.map(r => r.path), ['/v1/traces', '/v1/metrics']);
+    const spans = receiver.received[0].body.resourceSpans[0].scopeSpans[0].spans;
+    assert.deepEqual(spans.map(s => attrs(s.attributes)['gen_ai.response.id']).sort(), [...REQUESTS].sort());
+    assert.ok(!JSON.stringify(receiver.received).includes('Fix the login bug'));
+  });
+});
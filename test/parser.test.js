@@ -0,0 +1,178 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const path   = require('path');
+const { makeClaudeTree, assistant, jsonl, REQUESTS } = require('./fixtures');
+const { loadAllEvents, importAll, readNewLines } = require('../src/parser');
+const { resolveSources } = require('../src/sources');
+const store  = require('../src/db');
+
+describe('loadAllEvents', () => {
+  let tree, events;
+  before(async () => {
+    tree   = makeClaudeTree();
+    events = await loadAllEvents(tree.claudeDir);
+  });
+  after(() => tree.cleanup());
+
+  const byId = id => events.find(e => e.request_id === id);
+
+  it('keeps one event per request_id across lines and files', () => {
+    assert.deepEqual(events.map(e => e.request_id).sort(), [...REQUESTS].sort());
+  });
+
+  it('skips <synthetic> replies, replies without usage and malformed lines', () => {
+    for (const id of ['msg_syn', 'msg_nousage', 'msg_broken', 'msg_half']) assert.equal(byId(id), undefined);
+  });
+
+  it('sorts by time', () => {
+    const times = events.map(e => e.occurred_at);
+    assert.deepEqual(times, [...times].sort());
+  });
+
+  it('takes project paths from sessions-index.json, then its first entry, then cwd', () => {
+    assert.equal(byId('msg_A1').project_path, '/work/app');
+    assert.equal(byId('msg_B1').project_path, '/work/app');
+    assert.equal(byId('msg_M1').project_path, '/work/app-old');
+    assert.equal(byId('msg_L1').project_path, '/work/lib');
+  });
+
+  it('counts the first copy of a repeated response', () => {
+    assert.equal(byId('msg_A1').session_id, 's1');
+    assert.equal(byId('msg_A1').prompt_text, 'Fix the login bug');
+  });
+
+  it('marks sidechain requests with their subagent', () => {
+    const sub = byId('msg_S1');
+    assert.equal(sub.source, 'claude-code-subagent');
+    assert.equal(sub.agent_id, 'ag1');
+    assert.equal(sub.session_id, 's1');
+    assert.equal(byId('msg_A2').source, 'claude-code');
+    assert.equal(byId('msg_A2').agent_id, null);
+  });
+
+  it('tags copied transcripts with the jsonl source', async () => {
+    const copied = await loadAllEvents(null, resolveSources([`jsonl:${path.join(tree.claudeDir, 'projects')}`]));
+    const find   = id => copied.find(e => e.request_id === id);
+    assert.equal(find('msg_A2').source, 'jsonl');
+    assert.equal(find('msg_S1').source, 'jsonl-subagent');
+  });
+
+  it('splits cache writes by TTL and prices them', () => {
+    const ev = byId('msg_A1');
+    assert.equal(ev.cache_creation_tokens, 2000);
+    assert.equal(ev.cache_creation_1h_tokens, 500);
+    assert.equal(ev.cache_read_tokens, 10000);
+    // 1000 × $3 + 500 × $15 + 1500 × $3.75 + 500 × $6 + 10000 × $0.30, per million
+    assert.ok(Math.abs(ev.cost_usd - 0.022125) < 1e-12);
+  });
+
+  it('reports progress per file', async () => {
+    const seen = [];
+    await loadAllEvents(tree.claudeDir, null, { onProgress: p => seen.push(p) });
+    assert.deepEqual(seen[0], { parsed: 0, total: 5 });
+    assert.deepEqual(seen[seen.length - 1], { parsed: 5, total: 5 });
+  });
+});
+
+describe('importAll', () => {
+  let tree, db, sources;
+  before(() => {
+    tree    = makeClaudeTree();
+    db      = store.getDb(tree.dataDir);
+    sources = resolveSources([], tree.claudeDir);
+  });
+  after(() => tree.cleanup());
+
+  it('stores the same events as loadAllEvents', async () => {
+    const r = await importAll(db, sources);
+    assert.deepEqual(r, { filesScanned: 5, filesImported: 5, eventsInserted: REQUESTS.length });
+    const ids = db.prepare('SELECT request_id FROM usage_events ORDER BY request_id').pluck().all();
+    assert.deepEqual(ids, [...REQUESTS].sort());
+  });
+
+  it('links the subagent run to its Task call', () => {
+    const run = db.prepare('SELECT * FROM subagent_runs WHERE agent_id = ?').get('ag1');
+    assert.equal(run.tool_use_id, 'toolu_task');
+    assert.equal(run.description, 'explore repo');
+    assert.equal(run.subagent_type, 'Explore');
+  });
+
+  it('records tool calls and the size of their results', () => {
+    const bash = db.prepare('SELECT * FROM tool_calls WHERE tool_use_id = ?').get('toolu_bash');
+    assert.equal(bash.target, 'npm test');
+    assert.equal(bash.result_chars, 400);
+  });
+
+  it('skips unchanged files', async () => {
+    assert.deepEqual(await importAll(db, sources), { filesScanned: 5, filesImported: 0, eventsInserted: 0 });
+  });
+
+  it('reads only what was appended, including a line finished later', async () => {
+    const l1 = tree.file('-work-lib/l1.jsonl');
+    fs.appendFileSync(l1, ',"model":"claude-haiku-4-5","usage":{"input_tokens":1,"output_tokens":1}},"timestamp":"2026-10-03T08:01:00.000Z"}\n'
+      + jsonl([assistant('l1', '2026-10-03T08:02:00.000Z', 'msg_L2', 'claude-haiku-4-5', { input_tokens: 1, output_tokens: 1 })]));
+    const inserted = [];
+    const r = await importAll(db, sources, { onInsert: ev => inserted.push(ev.request_id) });
+    assert.equal(r.filesImported, 1);
+    assert.deepEqual(inserted, ['msg_half', 'msg_L2']);
+  });
+
+  it('re-reads a file that was rewritten shorter', async () => {
+    const moved = tree.file('-work-app/moved.jsonl');
+    fs.writeFileSync(moved, jsonl([assistant('s3', '2026-10-02T17:00:00.000Z', 'msg_M2', 'claude-sonnet-4-5', { input_tokens: 1, output_tokens: 1 })]));
+    const inserted = [];
+    await importAll(db, sources, { onInsert: ev => inserted.push(ev.request_id) });
+    assert.deepEqual(inserted, ['msg_M2']);
+  });
+
+  it('keeps api-log responses without an id when the log is rotated', async () => {
+    const dir  = path.join(tree.root, 'api-logs');
+    const log  = path.join(dir, 'requests.ndjson');
+    const line = (ts, tokens) => JSON.stringify({
+      timestamp: ts, response: { model: 'gpt-4o', usage: { prompt_tokens: tokens, completion_tokens: 10 } },
+    }) + '\n';
+    const apiLog = resolveSources([`api-log:${dir}`]);
+    fs.mkdirSync(dir);
+    fs.writeFileSync(log, line('2026-10-04T09:00:00.000Z', 100) + line('2026-10-04T09:01:00.000Z', 200));
+    const inserted = [];
+    await importAll(db, apiLog, { onInsert: ev => inserted.push(ev.request_id) });
+    // Rotated: a fresh, shorter file starts over at line 1
+    fs.writeFileSync(log, line('2026-10-04T10:00:00.000Z', 300));
+    await importAll(db, apiLog, { onInsert: ev => inserted.push(ev.request_id) });
+    assert.equal(inserted.length, 3);
+    assert.equal(new Set(inserted).size, 3);
+  });
+});
+
+describe('readNewLines', () => {
+  let tree;
+  before(() => { tree = makeClaudeTree(); });
+  after(() => tree.cleanup());
+
+  it('streams lines longer than a read chunk, and multi-byte characters across chunks', () => {
+    const file  = path.join(tree.root, 'big.jsonl');
+    const long  = JSON.stringify({ text: 'é€😀'.repeat(400000) }); // ~3.6 MB
+    fs.writeFileSync(file, `{"a":1}\n${long}\n{"b":2}\n{"c":`);
+    const read  = readNewLines(file);
+    const lines = [...read.lines];
+    assert.deepEqual(lines, ['{"a":1}', long, '{"b":2}']);
+    assert.equal(read.count, 3);
+    assert.equal(read.offset, fs.statSync(file).size - '{"c":'.length);
+  });
+
+  it('resumes from an offset and starts over when the file shrank', () => {
+    const file = path.join(tree.root, 'small.jsonl');
+    fs.writeFileSync(file, '{"a":1}\n{"b":2}\n');
+    assert.deepEqual([...readNewLines(file, 8).lines], ['{"b":2}']);
+    const read = readNewLines(file, 1000);
+    assert.deepEqual([...read.lines], ['{"a":1}', '{"b":2}']);
+    assert.equal(read.restarted, true);
+  });
+
+  it('returns null for a missing file', () => {
+    assert.equal(readNewLines(path.join(tree.root, 'nope.jsonl')), null);
+  });
+});
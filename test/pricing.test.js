@@ -0,0 +1,149 @@
+'use strict';
+
+const { describe, it, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const { lookupModel, computeCostUSD, inferProvider, loadPricingFile, pricingFingerprint, PRICING } = require('../src/pricing');
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+describe('lookupModel', () => {
+  const cases = [
+    // Dated and -latest names resolve to their family
+    ['claude-sonnet-4-5-20250929',  'claude-sonnet-4-5'],
+    ['claude-opus-4-20250514',      'claude-opus-4'],
+    ['claude-opus-4-1-20250805',    'claude-opus-4-1'],
+    ['claude-opus-4-6',             'claude-opus-4-6'],
+    ['claude-haiku-4-5',            'claude-haiku-4-5'],
+    ['claude-3-5-sonnet-20241022',  'claude-sonnet-3-5'],
+    ['claude-3-7-sonnet-20250219',  'claude-sonnet-3-7'],
+    ['claude-3-5-haiku-20241022',   'claude-haiku-3-5'],
+    ['claude-3-opus-latest',        'claude-opus-3'],
+    // Longer prefixes win over shorter ones
+    ['o3-mini',                     'o3-mini'],
+    ['o3-mini-2025-01-31',          'o3-mini'],
+    ['o3',                          'o3'],
+    ['o3-2025-04-16',               'o3'],
+    ['o4-mini-high',                'o4-mini'],
+    ['gpt-4o',                      'gpt-4o'],
+    ['gpt-4o-mini-2024-07-18',      'gpt-4o-mini'],
+    ['gpt-4-turbo-2024-04-09',      'gpt-4-turbo'],
+    ['gpt-4-0613',                  'gpt-4'],
+    ['gpt-3.5-turbo-16k',           'gpt-3.5-turbo'],
+    ['gpt-4.1-mini',                'gpt-4.1-mini'],
+    ['gpt-5-codex',                 'gpt-5'],
+  ];
+  for (const [model, prefix] of cases) {
+    it(`prices ${model} as ${prefix}`, () => {
+      assert.equal(lookupModel(model)?.prefix, prefix);
+    });
+  }
+
+  // A prefix must not lend its price to a newer version or another size of the model
+  for (const model of ['claude-opus-4-7', 'claude-opus-4-10', 'claude-sonnet-4-9', 'o3-pro', 'o1-pro', 'o3-deep-research', 'gpt-4.5-preview', 'gpt-5.1']) {
+    it(`leaves ${model} unpriced`, () => {
+      assert.equal(lookupModel(model), null);
+      assert.equal(computeCostUSD(model, 1e6, 1e6, 0, 0), 0);
+    });
+  }
+
+  it('ignores case', () => {
+    assert.equal(lookupModel('Claude-Sonnet-4-5')?.prefix, 'claude-sonnet-4-5');
+  });
+
+  it('returns null for <synthetic> and empty names', () => {
+    assert.equal(lookupModel('<synthetic>'), null);
+    assert.equal(lookupModel(''), null);
+    assert.equal(lookupModel(null), null);
+  });
+
+  it('infers the provider of unknown models from their name', () => {
+    assert.equal(inferProvider('claude-opus-4-7'), 'anthropic');
+    assert.equal(inferProvider('o3-pro'), 'openai');
+    assert.equal(inferProvider('gemini-2.5-pro'), 'unknown');
+  });
+});
+
+describe('computeCostUSD', () => {
+  it('prices each token type per million', () => {
+    // $1 in, $5 out, $1.25 cache write, $0.10 cache read
+    near(computeCostUSD('claude-haiku-4-5', 1e6, 1e6, 1e6, 1e6), 1 + 5 + 1.25 + 0.1);
+  });
+
+  it('bills 1-hour cache writes at their own rate', () => {
+    near(computeCostUSD('claude-haiku-4-5', 0, 0, 1e6, 0, { cache_creation_1h_tokens: 4e5 }), 0.6 * 1.25 + 0.4 * 2);
+  });
+
+  it('switches the whole request to long-context rates past the threshold', () => {
+    near(computeCostUSD('claude-sonnet-4-5', 200000, 0, 0, 0), 0.6);
+    near(computeCostUSD('claude-sonnet-4-5', 150000, 1000, 0, 50001), 150000 / 1e6 * 6 + 1000 / 1e6 * 22.5 + 50001 / 1e6 * 0.6);
+    // Opus 4.5 has no long-context tier
+    near(computeCostUSD('claude-opus-4-5', 1e6, 0, 0, 0), 5);
+  });
+
+  it('halves batch requests', () => {
+    near(computeCostUSD('claude-haiku-4-5', 1e6, 0, 0, 0, { service_tier: 'batch' }), 0.5);
+    near(computeCostUSD('claude-haiku-4-5', 1e6, 0, 0, 0, { service_tier: 'standard' }), 1);
+  });
+
+  it('treats missing counts as zero', () => {
+    assert.equal(computeCostUSD('claude-haiku-4-5', null, undefined, null, undefined), 0);
+  });
+});
+
+describe('pricing overrides', () => {
+  const dir  = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-spend-pricing-'));
+  const file = path.join(dir, 'pricing.json');
+  afterEach(() => loadPricingFile(null));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('applies dated entries from their day on', () => {
+    fs.writeFileSync(file, JSON.stringify({
+      models: [{ prefix: 'claude-sonnet-4-5', input: 2, output: 10, effective_from: '2026-11-01' }],
+    }));
+    loadPricingFile(file);
+    near(computeCostUSD('claude-sonnet-4-5', 1e5, 0, 0, 0, { occurred_at: '2026-10-31T23:59:59Z' }), 0.3);
+    near(computeCostUSD('claude-sonnet-4-5', 1e5, 0, 0, 0, { occurred_at: '2026-11-01T00:00:00Z' }), 0.2);
+  });
+
+  it('keeps the old built-in rate for events before a dated built-in change', () => {
+    PRICING.push({ prefix: 'claude-haiku-4-5', provider: 'anthropic', input: 2, output: 10, effective_from: '2026-11-01' });
+    loadPricingFile(null);
+    try {
+      near(computeCostUSD('claude-haiku-4-5', 1e6, 0, 0, 0, { occurred_at: '2026-10-31T23:59:59Z' }), 1);
+      near(computeCostUSD('claude-haiku-4-5', 1e6, 0, 0, 0, { occurred_at: '2026-11-01T00:00:00Z' }), 2);
+      // An undated override still wins on every day
+      fs.writeFileSync(file, JSON.stringify({ models: [{ prefix: 'claude-haiku-4-5', input: 0.5, output: 2.5 }] }));
+      loadPricingFile(file);
+      near(computeCostUSD('claude-haiku-4-5', 1e6, 0, 0, 0, { occurred_at: '2026-11-02T00:00:00Z' }), 0.5);
+    } finally {
+      PRICING.pop();
+    }
+  });
+
+  it('prices new models and applies provider discounts', () => {
+    fs.writeFileSync(file, JSON.stringify({
+      discounts: { anthropic: 10 },
+      models: [{ prefix: 'claude-opus-4-7', provider: 'anthropic', input: 5, output: 25 }],
+    }));
+    loadPricingFile(file);
+    assert.equal(lookupModel('claude-opus-4-7-20261001').source, 'override');
+    near(computeCostUSD('claude-opus-4-7', 1e6, 0, 0, 0), 4.5);
+    near(computeCostUSD('claude-haiku-4-5', 1e6, 0, 0, 0), 0.9);
+  });
+
+  it('changes the fingerprint stored costs are checked against', () => {
+    const builtIn = pricingFingerprint();
+    fs.writeFileSync(file, JSON.stringify({ discounts: { openai: 5 } }));
+    loadPricingFile(file);
+    assert.notEqual(pricingFingerprint(), builtIn);
+  });
+
+  it('rejects a malformed file with its location', () => {
+    fs.writeFileSync(file, JSON.stringify({ models: [{ prefix: 'x', input: -1, output: 1 }] }));
+    assert.throws(() => loadPricingFile(file), /models\[0\]: input must be a non-negative number/);
+    assert.throws(() => loadPricingFile(path.join(dir, 'missing.json'), { required: true }), /not found/);
+  });
+});
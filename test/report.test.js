@@ -0,0 +1,26 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { csvLine, normalizeGrouping } = require('../src/report');
+
+describe('csvLine', () => {
+  it('quotes only where needed', () => {
+    assert.equal(csvLine(['plain', 'a,"b"', 'two\nlines', null, 3]), 'plain,"a,""b""","two\nlines",,3');
+  });
+
+  it('keeps text that looks like a formula from running in a spreadsheet', () => {
+    assert.equal(csvLine(['=HYPERLINK("http://x")', '+1', '-cmd', '@SUM(A1)', '\tx']),
+      `"'=HYPERLINK(""http://x"")",'+1,'-cmd,'@SUM(A1),'\tx`);
+    // Numbers stay numbers
+    assert.equal(csvLine([-0.5, 0.25]), '-0.5,0.25');
+  });
+});
+
+describe('normalizeGrouping', () => {
+  it('accepts the documented --by values and nothing else', () => {
+    assert.equal(normalizeGrouping('project'), 'project');
+    assert.throws(() => normalizeGrouping('top'), /--by must be one of model, project, repo, branch, session, user, day, got "top"/);
+    assert.throws(() => normalizeGrouping('commit'), /--by must be one of/);
+  });
+});
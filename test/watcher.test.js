@@ -0,0 +1,27 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const { watchProjects } = require('../src/watcher');
+
+describe('watchProjects', () => {
+  const claudeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-spend-watch-'));
+  after(() => fs.rmSync(claudeDir, { recursive: true, force: true }));
+
+  it('starts watching once a fresh install creates projects/', async () => {
+    const changed = [];
+    const stop = watchProjects(claudeDir, files => changed.push(...files), { delay: 20, retry: 30 });
+    try {
+      const slug = path.join(claudeDir, 'projects', '-work-new');
+      fs.mkdirSync(slug, { recursive: true });
+      fs.writeFileSync(path.join(slug, 's1.jsonl'), '{}\n');
+      for (let i = 0; i < 100 && !changed.length; i++) await new Promise(r => setTimeout(r, 20));
+      assert.deepEqual(changed, [path.join(slug, 's1.jsonl')]);
+    } finally {
+      stop();
+    }
+  });
+});